@@ -1,3 +1,10 @@
+import { InscriptionResolver } from '../../FRNK Player V3/modules/inscriptions.js';
+
+// The main track's inscription, fetched from the content server in
+// window.frnkPlayerConfig.contentServer (default: ordinals.com)
+const MAIN_INSCRIPTION = 'fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0';
+const resolver = new InscriptionResolver({ contentServer: (window.frnkPlayerConfig || {}).contentServer });
+
 // Get references to DOM elements
 const playButton = document.getElementById('playButton');
 const stopButton = document.getElementById('stopButton');
@@ -70,9 +77,7 @@ async function loadAudio() {
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
     // *** Load Main Audio ***
-    const response = await fetch(
-      'https://ordinals.com/content/fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0'
-    );
+    const response = await fetch(resolver.contentUrl(MAIN_INSCRIPTION));
     const arrayBuffer = await response.arrayBuffer();
     audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
 
@@ -1,3 +1,9 @@
+import { InscriptionResolver } from '../../FRNK Player V3/modules/inscriptions.js';
+
+// The main track's inscription, fetched from the content server in
+// window.frnkPlayerConfig.contentServer (default: ordinals.com)
+const MAIN_INSCRIPTION = 'fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0';
+
 // Immediately Invoked Function Expression (IIFE) to encapsulate the module
 (() => {
     // Helper function to load and decode audio buffers
@@ -8,6 +14,10 @@
       return audioContext.decodeAudioData(arrayBuffer);
     };
   
+    const resolver = new InscriptionResolver({
+      contentServer: (window.frnkPlayerConfig || {}).contentServer,
+    });
+
     // Helper function to play a given audio buffer
     const playSound = (audioContext, buffer) => {
       const source = audioContext.createBufferSource();
@@ -308,10 +318,7 @@
           stopButtonPress,
           fastWindTape,
         ] = await Promise.all([
-          loadAudioBuffer(
-            audioContext,
-            'https://ordinals.com/content/fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0'
-          ),
+          loadAudioBuffer(audioContext, resolver.contentUrl(MAIN_INSCRIPTION)),
           loadAudioBuffer(audioContext, 'assets/buttonPress.mp3'),
           loadAudioBuffer(audioContext, 'assets/stopButtonPress.mp3'),
           loadAudioBuffer(audioContext, 'assets/fastWindTape.mp3'),
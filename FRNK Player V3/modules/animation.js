@@ -1,21 +1,43 @@
 // animation.js
 
+import { TapePack } from './tapePack.js';
+import { systemClock } from './clock.js';
+import { VUMeter, levelToReading } from './vuMeter.js';
+
 // Exporting necessary functions and variables
 export class AnimationManager {
-  constructor(canvasElement) {
+  // canvasElement needs width/height, clientWidth/clientHeight and getContext('2d');
+  // options.clock supplies animation frames (see clock.js)
+  constructor(canvasElement, options = {}) {
     this.canvas = canvasElement;
+    this.clock = options.clock || systemClock;
     this.ctx = this.canvas.getContext('2d');
 
-    // Spool properties
+    // Spool properties (packRatio is the radius of the tape wound on the hub)
     this.spools = {
-      left: { xRatio: 0.33, yRatio: 0.55, radiusRatio: 0.05, angle: 0 },
-      right: { xRatio: 0.67, yRatio: 0.55, radiusRatio: 0.05, angle: 0 },
+      left: { xRatio: 0.33, yRatio: 0.55, radiusRatio: 0.05, packRatio: 0.05, angle: 0 },
+      right: { xRatio: 0.67, yRatio: 0.55, radiusRatio: 0.05, packRatio: 0.05, angle: 0 },
     };
 
+    // Tape pack model; the left reel supplies tape to the right reel when playing forward
+    this.tapePack = new TapePack({ hubRatio: 0.05, fullRatio: 0.1 });
+    this.tapeSource = null;
+
     // Animation variables
-    this.spoolSpeed = Math.PI; // Radians per second
+    this.spoolSpeed = Math.PI; // Radians per second of a bare hub at 1x
+    this.tapeSpeed = this.spoolSpeed * this.tapePack.hubRatio; // Linear tape speed at 1x
     this.animationFrameId = null;
+    this.isAnimating = false; // Whether the transport has the reels turning (see startAnimation)
     this.lastTimestamp = null;
+    this.playbackRate = 1;
+    this.direction = 1;
+    this.rateSource = null;
+    this.tapeDirection = 1; // -1 when an auto-reverse head plays the other side
+
+    // VU meters: LED ladders in the panel between the effect switches
+    this.meters = { left: new VUMeter(), right: new VUMeter() };
+    this.meterLayout = { xRatio: 0.38, widthRatio: 0.24, yRatios: [0.25, 0.285], heightRatio: 0.02, segments: 12 };
+    this.levelSource = null;
 
     // Bind the animate function to maintain 'this' context
     this.animate = this.animate.bind(this);
@@ -31,12 +53,64 @@ export class AnimationManager {
     this.drawSpools();
   }
 
+  // Provide the tape position: a function returning { position, duration } in seconds
+  setTapeSource(tapeSource) {
+    this.tapeSource = tapeSource;
+    this.drawSpools();
+  }
+
+  // Provide the live tape speed: a function returning the signed rate, so the reels
+  // follow the motor's spin-up and wind-down instead of snapping to a new speed
+  setRateSource(rateSource) {
+    this.rateSource = rateSource;
+  }
+
+  // Provide the output level: a function returning the [left, right] RMS levels
+  setLevelSource(levelSource) {
+    this.levelSource = levelSource;
+  }
+
+  // Set which way the tape runs past the head; reversed, the right reel supplies the tape
+  setTapeDirection(tapeDirection) {
+    this.tapeDirection = tapeDirection;
+    this.drawSpools();
+  }
+
+  // Wind each reel's pack to match how far into the tape we are
+  updateTapePack() {
+    if (!this.tapeSource) return;
+    const { position, duration } = this.tapeSource();
+    const { supply, takeUp } = this.tapePack.getRadii(duration > 0 ? position / duration : 0);
+    const reversed = this.tapeDirection === -1;
+    this.spools.left.packRatio = reversed ? takeUp : supply;
+    this.spools.right.packRatio = reversed ? supply : takeUp;
+  }
+
+  // Spool centre, hub radius and pack radius in canvas pixels
+  getSpoolGeometry(spool, width = this.canvas.width, height = this.canvas.height) {
+    const { xRatio, yRatio, radiusRatio, packRatio } = spool;
+    return {
+      x: width * xRatio,
+      y: height * yRatio,
+      radius: Math.max(1.5, width * radiusRatio),
+      packRadius: Math.max(1.5, width * packRatio),
+    };
+  }
+
+  // Draw the tape wound around a spool
+  drawTapePack(spool, width, height) {
+    const { x, y, packRadius } = this.getSpoolGeometry(spool, width, height);
+
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, packRadius, 0, 2 * Math.PI);
+    this.ctx.fillStyle = '#3b2414';
+    this.ctx.fill();
+  }
+
   // Draw a single spool
   drawSpool(spool, width, height) {
-    const { xRatio, yRatio, radiusRatio, angle } = spool;
-    const x = width * xRatio;
-    const y = height * yRatio;
-    const radius = Math.max(1.5, width * radiusRatio);
+    const { angle } = spool;
+    const { x, y, radius } = this.getSpoolGeometry(spool, width, height);
 
     this.ctx.save();
     this.ctx.translate(x, y);
@@ -81,51 +155,148 @@ export class AnimationManager {
   // Draw all spools
   drawSpools() {
     const { width, height } = this.canvas;
+    this.updateTapePack();
     this.ctx.clearRect(0, 0, width, height);
-    Object.values(this.spools).forEach((spool) => this.drawSpool(spool, width, height));
+    Object.values(this.spools).forEach((spool) => {
+      this.drawTapePack(spool, width, height);
+      this.drawSpool(spool, width, height);
+    });
+    this.drawMeters(width, height);
+  }
+
+  // Move the meters towards the output level; with the transport at rest they fall back to zero
+  updateMeters(deltaTime, running) {
+    const levels = running && this.levelSource ? this.levelSource() : [0, 0];
+    this.meters.left.update(levelToReading(levels[0]), deltaTime);
+    this.meters.right.update(levelToReading(levels[1]), deltaTime);
+  }
+
+  get metersAtRest() {
+    return this.meters.left.isAtRest && this.meters.right.isAtRest;
   }
 
-  // Update spool angles based on playback rate and direction
-  updateSpools(rotation) {
+  // Draw a row of LEDs per channel, lit up to the reading, with the peak LED held
+  drawMeters(width, height) {
+    const { xRatio, widthRatio, yRatios, heightRatio, segments } = this.meterLayout;
+    const segmentWidth = (width * widthRatio) / segments;
+    const ledHeight = height * heightRatio;
+
+    [this.meters.left, this.meters.right].forEach((meter, row) => {
+      const y = height * yRatios[row];
+      const peakSegment = meter.peak > 0 ? Math.min(segments - 1, Math.floor(meter.peak * segments)) : -1;
+
+      for (let i = 0; i < segments; i++) {
+        const lit = meter.reading > i / segments || i === peakSegment;
+        this.ctx.fillStyle = lit ? this.getLedColor(i / segments) : '#2a2a2a';
+        this.ctx.fillRect(width * xRatio + i * segmentWidth + 1, y, segmentWidth - 2, ledHeight);
+      }
+    });
+  }
+
+  // Green through the normal range, amber near the top and red at the top of the scale
+  getLedColor(position) {
+    if (position >= 0.9) return '#d21f1f';
+    if (position >= 0.75) return '#e0a800';
+    return '#10b11b';
+  }
+
+  // Move a length of tape between the reels; each turns in proportion to its pack radius
+  updateSpools(distance) {
     Object.values(this.spools).forEach((spool) => {
-      spool.angle += rotation;
+      spool.angle += this.tapePack.angularVelocity(spool.packRatio, distance);
+    });
+  }
+
+  // Turn one spool by hand and redraw
+  turnSpool(key, rotation) {
+    this.updateSpools(rotation * this.spools[key].packRatio);
+    this.drawSpools();
+  }
+
+  // Find the spool under a canvas point, if any
+  hitTestSpool(x, y) {
+    const entry = Object.entries(this.spools).find(([, spool]) => {
+      const geometry = this.getSpoolGeometry(spool);
+      // Allow a margin around the hub so small reels are still easy to grab
+      const grabRadius = Math.max(20, geometry.radius * 1.5, geometry.packRadius);
+      return Math.hypot(x - geometry.x, y - geometry.y) <= grabRadius;
     });
+    return entry ? entry[0] : null;
+  }
+
+  // Angle of a canvas point around a spool's centre
+  getPointerAngle(key, x, y) {
+    const geometry = this.getSpoolGeometry(this.spools[key]);
+    return Math.atan2(y - geometry.y, x - geometry.x);
+  }
+
+  // Seconds of tape moved by turning a spool through an angle
+  rotationToSeconds(key, rotation) {
+    return (rotation * this.spools[key].packRatio * this.tapeDirection) / this.tapeSpeed;
   }
 
   // Animation loop
-  animate(timestamp, playbackRate, direction) {
+  animate(timestamp) {
     if (!this.lastTimestamp) this.lastTimestamp = timestamp;
     const deltaTime = (timestamp - this.lastTimestamp) / 1000; // Convert to seconds
     this.lastTimestamp = timestamp;
 
-    const rotation = deltaTime * this.spoolSpeed * playbackRate * direction;
-    this.updateSpools(rotation);
+    const rate = this.rateSource ? this.rateSource() : this.playbackRate * this.direction;
+    const turning = this.isAnimating || (this.rateSource && Math.abs(rate) > 0.001);
+
+    // Constant linear tape speed: the smaller pack spins faster than the larger one
+    const distance = deltaTime * this.tapeSpeed * rate * this.tapeDirection;
+    this.updateSpools(distance);
+    this.updateMeters(deltaTime, turning);
 
     this.drawSpools();
 
-    if (this.isAnimating) {
-      this.animationFrameId = requestAnimationFrame((ts) => this.animate(ts, playbackRate, direction));
+    // Once stopped, keep turning until the reels have wound down and the meters have fallen back
+    if (turning || !this.metersAtRest) {
+      this.animationFrameId = this.clock.requestAnimationFrame(this.animate);
+    } else {
+      this.animationFrameId = null;
     }
   }
 
-  // Start animation
+  // Start animation, or change its speed and direction if already running
   startAnimation(playbackRate, direction) {
-    if (this.isAnimating) return;
+    this.playbackRate = playbackRate;
+    this.direction = direction;
     this.isAnimating = true;
+    if (this.animationFrameId !== null) return;
     this.lastTimestamp = null;
-    this.animationFrameId = requestAnimationFrame((ts) => this.animate(ts, playbackRate, direction));
+    this.animationFrameId = this.clock.requestAnimationFrame(this.animate);
   }
 
-  // Stop animation
+  // Stop animation; with a rate source the reels coast to a standstill and the meters fall back
   stopAnimation() {
     if (!this.isAnimating) return;
     this.isAnimating = false;
-    cancelAnimationFrame(this.animationFrameId);
+    if (this.rateSource) return;
+    this.clock.cancelAnimationFrame(this.animationFrameId);
     this.animationFrameId = null;
+    this.meters.left.reset();
+    this.meters.right.reset();
   }
 
-  // Initialize resize listener
+  // Initialize resize listener; a deck embedded in a page can change size without the window doing so
   initResizeListener() {
-    window.addEventListener('resize', () => this.resizeCanvas());
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.resizeCanvas());
+      this.resizeObserver.observe(this.canvas);
+    } else {
+      this.handleResize = () => this.resizeCanvas();
+      window.addEventListener('resize', this.handleResize);
+    }
+  }
+
+  // Stop animating and drop the resize listener
+  dispose() {
+    this.isAnimating = false;
+    this.clock.cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.handleResize) window.removeEventListener('resize', this.handleResize);
   }
 }
\ No newline at end of file
@@ -1,89 +1,447 @@
 // audio.js
 
-// Exporting necessary functions and variables
-export class AudioManager {
-    constructor() {
+import { TapeQueue } from './queue.js';
+import { TapeRecorder } from './recorder.js';
+import { TapeEffects } from './tapeEffects.js';
+import { ToneControls } from './toneControls.js';
+import { TapeHead } from './tapeHead.js';
+import { Motor } from './motor.js';
+import { InscriptionResolver } from './inscriptions.js';
+import { TransportStateMachine, MOVING_STATES } from './transport.js';
+import { systemClock } from './clock.js';
+import { rms } from './vuMeter.js';
+import { computePeaks } from './waveform.js';
+import { renderBounce, encodeWav } from './bounce.js';
+import { MusicSearch } from './musicSearch.js';
+
+// Button and winding sounds ship next to the modules, wherever the page embedding us lives
+const assetUrl = (name) => new URL(`../assets/${name}`, import.meta.url).href;
+
+// How often the position is announced while the tape moves, in milliseconds
+const TICK_INTERVAL = 250;
+
+// Fast forward and rewind wind the tape at this multiple of Play speed
+const WIND_RATE = 10;
+
+// How often a music search looks for its song start, in milliseconds; at winding speed the
+// tape passes a tenth of a second in this time
+const SEARCH_INTERVAL = 10;
+
+// Shortest A–B loop, in seconds
+const MIN_LOOP_LENGTH = 0.05;
+
+// Events dispatched on an AudioManager, and re-dispatched by <frnk-player>. Each is a
+// CustomEvent whose detail is:
+//   statechange     { state, previousState, reason }: state is one of TRANSPORT_STATES
+//                   (transport.js); reason is 'ended' when the tape ran off the end, or
+//                   'search' when a music search reached the song it was looking for
+//   timeupdate      { position, duration }: every tick while the tape moves, and on seek
+//   trackchange     { index, label, side, number, duration, title, artist, album, artwork,
+//                   boundaries }: boundaries are where each song on the track after the first
+//                   starts, in seconds (see musicSearch.js)
+//   loadprogress    { index, url, loaded, total }: bytes of a track fetched so far; total is
+//                   null when the server does not send a length
+//   error           { error, operation }: operation is 'load', 'record', 'bounce' or
+//                   'mixtape'
+//   ratechange      { rate, direction }: the Play or winding speed and its direction
+//   directionchange { headDirection }: the auto-reverse head flipped sides
+//   loopchange      { start, end }: the A–B loop in seconds, both null once cleared
+//   tapechange      { boundaries }: a recording changed the tape, and its overview and song
+//                   boundaries have been measured again
+export const PLAYER_EVENTS = [
+  'statechange',
+  'timeupdate',
+  'trackchange',
+  'loadprogress',
+  'error',
+  'ratechange',
+  'directionchange',
+  'loopchange',
+  'tapechange',
+];
+
+// The shape of a tape without its samples, which only the tape head keeps
+function describeTape({ duration, length, sampleRate, numberOfChannels }) {
+  return { duration, length, sampleRate, numberOfChannels };
+}
+
+// Read a response body, reporting bytes received as they arrive
+async function readWithProgress(response, onProgress) {
+  const total = parseInt(response.headers.get('content-length'), 10) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  onProgress(loaded, total);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+}
+
+// Exporting necessary functions and variables.
+// Events (see PLAYER_EVENTS) are dispatched on the instance, so several decks on one
+// page only hear their own tape.
+export class AudioManager extends EventTarget {
+    // options.contentServer: ordinals content server for inscription tracks;
+    // options.audioContext: a context shared with other decks instead of one of our own;
+    // options.musicSearch: { threshold, minGap } for finding the gaps between songs (see musicSearch.js);
+    // options.fetch, options.clock (see clock.js), options.getInputStream (see recorder.js) and
+    // options.createOfflineContext (see bounce.js) replace the browser's network, timers,
+    // microphone and offline rendering, e.g. in tests
+    constructor(tape, options = {}) {
+      super();
+      this.sharedAudioContext = options.audioContext || null;
+      this.fetch = options.fetch || ((...args) => fetch(...args));
+      this.createOfflineContext = options.createOfflineContext
+        || ((...args) => new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(...args));
+      this.clock = options.clock || systemClock;
       this.audioContext = null;
       this.audioBuffers = {
-        main: null,
-        reversed: null,
+        main: null, // The tape on the head, described without its samples (see describeTape)
         buttonPress: null,
         stopButtonPress: null,
         fastWindTape: null,
       };
-      this.sourceNode = null;
+      this.queue = new TapeQueue(tape);
+      this.loadedTrack = null; // Queue entry whose audio is on the tape head
+      this.tapePeaks = null; // Overview of the tape for the waveform strip (see computePeaks)
+      this.resolver = new InscriptionResolver({ contentServer: options.contentServer, fetch: this.fetch });
+      this.musicBus = null; // Everything read off the tape passes through here
+      this.tapeEffects = null;
+      this.toneControls = null; // Bass, Treble and graphic EQ; the button and winding sounds bypass it
+      this.tapeHead = null; // AudioWorklet head that reads the tape at any signed rate
+      this.monitorGain = null; // Mutes the playback head while recording
+      this.meterAnalysers = []; // Left and right taps on the deck's output, for the VU meters
+      this.meterSamples = null;
       this.fastWindTapeSource = null;
-      this.isPlaying = false;
-      this.playbackRate = 1;
+      this.isScrubbing = false;
+      this.playSpeed = 1; // Speed selected for Play
+      this.keyLock = false; // Whether Play keeps the pitch whatever its speed
+      this.playbackRate = 1; // Speed the transport is running at, Play or winding
       this.direction = 1; // 1 for forward, -1 for reverse
-      this.currentPosition = 0; // in seconds
-      this.startTime = 0;
+      this.tickIntervalId = null;
+      this.reportedErrors = new WeakSet();
+      this.loop = null; // A–B loop { start, end } in seconds, repeated while playing
+  
+      // Music search: the gaps between songs on the track, and the song start a double
+      // press of FF or Rewind is winding to as { target, direction }
+      this.musicSearch = new MusicSearch(options.musicSearch);
+      this.search = null;
+      this.searchIntervalId = null;
+  
+      // Auto-reverse: 'off', 'once' or 'continuous'; headDirection flips with each reversal
+      this.autoReverseMode = 'off';
+      this.autoReverseCount = 0;
+      this.headDirection = 1; // 1 plays Side A's way round, -1 the other way
+  
+      // Capstan motor: every speed change follows its inertia curve
+      this.motor = new Motor();
+  
+      // Record head writing microphone input onto the tape
+      this.recorder = new TapeRecorder(this, { getInputStream: options.getInputStream });
+      this.recorder.onTapeEnd = () => this.stop();
+  
+      // Transport state machine; every key press goes through it, and applyState follows it
+      const hasTape = () => Boolean(this.audioBuffers.main);
+      this.transport = new TransportStateMachine({
+        play: hasTape,
+        fastForward: hasTape,
+        rewind: hasTape,
+        record: () => hasTape() && this.recorder.isArmed,
+      });
+    }
+  
+    // Whether the tape is running past the heads, recording included
+    get isPlaying() {
+      return this.transport.isMoving;
+    }
+  
+    get isPaused() {
+      return this.transport.state === 'paused';
+    }
+  
+    get isRecording() {
+      return this.transport.state === 'recording';
+    }
+  
+    // Whether Pause interrupted a recording
+    get pausedRecording() {
+      return this.transport.pausedState === 'recording';
     }
   
     // Initialize Audio Context
-    initAudioContext() {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    async initAudioContext() {
+      this.audioContext = this.sharedAudioContext
+        || new (window.AudioContext || window.webkitAudioContext)();
+      await TapeHead.addModule(this.audioContext);
+      this.createOutputChain();
+    }
+  
+    // Route the tape head through the analog stage and the tone controls to the speakers
+    createOutputChain() {
+      this.tapeHead = new TapeHead(this.audioContext);
+      this.tapeHead.onEnded = () => this.handleTapeEnd();
+      this.monitorGain = this.audioContext.createGain();
+      this.musicBus = this.audioContext.createGain();
+      this.tapeHead.connect(this.monitorGain).connect(this.musicBus);
+      this.tapeEffects = new TapeEffects(this.audioContext);
+      this.musicBus.connect(this.tapeEffects.input);
+      this.toneControls = new ToneControls(this.audioContext);
+      this.tapeEffects.output.connect(this.toneControls.input);
+      this.toneControls.output.connect(this.audioContext.destination);
+      this.createMeterTap();
+    }
+  
+    // Tap the deck's output for the VU meters, one analyser per channel.
+    // A mono tape reads the same on both meters.
+    createMeterTap() {
+      const splitter = this.audioContext.createChannelSplitter(2);
+      splitter.channelInterpretation = 'speakers';
+      this.toneControls.output.connect(splitter);
+      this.meterAnalysers = [0, 1].map((channel) => {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        splitter.connect(analyser, channel);
+        return analyser;
+      });
+      this.meterSamples = new Float32Array(this.meterAnalysers[0].fftSize);
+    }
+  
+    // RMS level of the deck's output on the left and right channels, right now
+    getOutputLevels() {
+      return this.meterAnalysers.length > 0
+        ? this.meterAnalysers.map((analyser) => {
+          analyser.getFloatTimeDomainData(this.meterSamples);
+          return rms(this.meterSamples);
+        })
+        : [0, 0];
     }
   
-    // Helper function to load and decode audio buffers
-    async loadAudioBuffer(url) {
-      const response = await fetch(url);
+    // Helper function to load and decode audio buffers; onProgress(loaded, total) follows the download
+    async loadAudioBuffer(url, onProgress) {
+      const response = await this.fetch(url);
       if (!response.ok) throw new Error(`Failed to load ${url}`);
-      const arrayBuffer = await response.arrayBuffer();
+      const arrayBuffer = onProgress && response.body
+        ? await readWithProgress(response, onProgress)
+        : await response.arrayBuffer();
       return await this.audioContext.decodeAudioData(arrayBuffer);
     }
   
     // Load all audio buffers
     async loadAllAudio() {
       try {
-        this.initAudioContext();
+        await this.initAudioContext();
   
         const [
-          main,
           buttonPress,
           stopButtonPress,
           fastWindTape,
         ] = await Promise.all([
-          this.loadAudioBuffer(
-            'https://ordinals.com/content/fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0'
-          ),
-          this.loadAudioBuffer('assets/buttonPress.mp3'),
-          this.loadAudioBuffer('assets/stopButtonPress.mp3'),
-          this.loadAudioBuffer('assets/fastWindTape.mp3'),
+          this.loadAudioBuffer(assetUrl('buttonPress.mp3')),
+          this.loadAudioBuffer(assetUrl('stopButtonPress.mp3')),
+          this.loadAudioBuffer(assetUrl('fastWindTape.mp3')),
+          this.loadTrack(this.queue.index),
         ]);
   
-        this.audioBuffers.main = main;
         this.audioBuffers.buttonPress = buttonPress;
         this.audioBuffers.stopButtonPress = stopButtonPress;
         this.audioBuffers.fastWindTape = fastWindTape;
   
-        // Create reversed buffer
-        this.audioBuffers.reversed = this.createReversedBuffer(main);
-  
       } catch (error) {
         console.error('Error loading audio:', error);
+        this.reportError(error, 'load');
         throw error;
       }
     }
   
-    // Create reversed audio buffer
-    createReversedBuffer(buffer) {
-      const reversedBuffer = this.audioContext.createBuffer(
-        buffer.numberOfChannels,
-        buffer.length,
-        buffer.sampleRate
-      );
-  
-      for (let i = 0; i < buffer.numberOfChannels; i++) {
-        const channelData = buffer.getChannelData(i);
-        const reversedData = new Float32Array(channelData.length);
-        for (let j = 0; j < channelData.length; j++) {
-          reversedData[j] = channelData[channelData.length - j - 1];
+    // Load a track from the queue onto the tape head
+    async loadTrack(index) {
+      const track = this.queue.select(index);
+      if (!track) throw new Error(`No track at queue index ${index}`);
+  
+      this.stop();
+      this.clearLoop();
+  
+      // A track built in the page (see mixtape.js) brings its audio along
+      let main = track.buffer || null;
+      if (!main) {
+        try {
+          const url = await this.resolveTrack(track);
+          main = await this.loadAudioBuffer(url, (loaded, total) => {
+            this.emit('loadprogress', { index, url, loaded, total });
+          });
+        } catch (error) {
+          this.reportError(error, 'load');
+          throw error;
         }
-        reversedBuffer.getChannelData(i).set(reversedData);
       }
   
-      return reversedBuffer;
+      // Ignore stale loads if the queue moved on while fetching
+      if (this.queue.current !== track) return;
+  
+      this.loadedTrack = track;
+      this.tapeHead.load(main);
+      this.measureTape(main);
+      // From here the tape head holds the only copy of the samples
+      this.audioBuffers.main = describeTape(main);
+  
+      this.emit('trackchange', this.getTrackInfo());
+    }
+  
+    // Decode a local audio file, e.g. one dropped on the deck
+    async decodeFile(file) {
+      return await this.audioContext.decodeAudioData(await file.arrayBuffer());
+    }
+  
+    // URL of a track's audio, filling in missing details from its inscription
+    async resolveTrack(track) {
+      if (!track.inscription) return track.url;
+  
+      const inscription = await this.resolver.resolve(track.inscription);
+      if (!/^(audio|video)\//.test(inscription.contentType)) {
+        throw new Error(`Inscription ${track.inscription} is not audio (${inscription.contentType})`);
+      }
+  
+      ['title', 'artist', 'album', 'artwork'].forEach((key) => {
+        if (!track[key] && inscription[key]) track[key] = inscription[key];
+      });
+      return inscription.url;
+    }
+  
+    // Put a different tape in the deck and cue its first track
+    async loadTape(tape) {
+      this.stop();
+      this.queue.setTape(tape);
+      this.setHeadDirection(1);
+      await this.loadTrack(this.queue.index);
+    }
+  
+    // Turn the auto-reverse head to play one way round (1) or the other (-1)
+    setHeadDirection(headDirection) {
+      this.headDirection = headDirection === -1 ? -1 : 1;
+      this.emit('directionchange', { headDirection: this.headDirection });
+    }
+  
+    // Cue the next track in the queue
+    async nextTrack() {
+      if (!this.queue.hasNext()) return false;
+      await this.loadTrack(this.queue.index + 1);
+      return true;
+    }
+  
+    // Cue the previous track in the queue
+    async previousTrack() {
+      if (!this.queue.hasPrevious()) return false;
+      await this.loadTrack(this.queue.index - 1);
+      return true;
+    }
+  
+    // Choose the auto-reverse mode and start counting reversals afresh
+    setAutoReverseMode(mode) {
+      if (!['off', 'once', 'continuous'].includes(mode)) {
+        throw new Error(`Unknown auto-reverse mode: ${mode}`);
+      }
+      this.autoReverseMode = mode;
+      this.resetAutoReverse();
+    }
+  
+    // Start counting reversals afresh, e.g. when the listener presses Play
+    resetAutoReverse() {
+      this.autoReverseCount = 0;
+    }
+  
+    // Whether the deck should reverse at the end of the current side
+    canAutoReverse() {
+      if (this.autoReverseMode === 'continuous') return true;
+      return this.autoReverseMode === 'once' && this.autoReverseCount < 1;
+    }
+  
+    // Flip the head and cue the start of the other side; a one-sided tape loops its side
+    async reverseSide() {
+      const side = this.queue.current ? this.queue.current.side : 'A';
+      const otherSide = side === 'A' ? 'B' : 'A';
+      const otherStart = this.queue.firstIndexOfSide(otherSide);
+  
+      if (otherStart !== -1) {
+        this.headDirection = -this.headDirection;
+        await this.loadTrack(otherStart);
+      } else {
+        await this.loadTrack(this.queue.firstIndexOfSide(side));
+      }
+      this.autoReverseCount += 1;
+  
+      this.emit('directionchange', { headDirection: this.headDirection });
+    }
+  
+    // Repeat the region between two positions in seconds while playing; the points may come
+    // in either order. FF and Rewind wind straight through the loop without wrapping, and
+    // Play picks it up again the next time the head runs forward across B.
+    setLoop(start, end) {
+      const clamp = (position) => Math.max(0, Math.min(position, this.getDuration()));
+      const a = clamp(Math.min(start, end));
+      const b = clamp(Math.max(start, end));
+      if (!(b - a >= MIN_LOOP_LENGTH)) {
+        throw new RangeError(`A\u2013B loop too short: ${a}\u2013${b}`);
+      }
+  
+      this.loop = { start: a, end: b };
+      this.tapeHead.setLoop(this.loop, this.transport.state === 'playing');
+      this.emit('loopchange', { ...this.loop });
+    }
+  
+    // Drop the A–B loop; a playing tape carries on past B
+    clearLoop() {
+      if (!this.loop) return;
+      this.loop = null;
+      this.tapeHead.setLoop(null);
+      this.emit('loopchange', { start: null, end: null });
+    }
+  
+    // Duration of the track currently on the tape head
+    getDuration() {
+      return this.audioBuffers.main ? this.audioBuffers.main.duration : 0;
+    }
+  
+    // Queue position, side, duration and details of the track on the tape head
+    getTrackInfo() {
+      const track = this.queue.current || {};
+      return {
+        index: this.queue.index,
+        label: this.queue.label(),
+        side: track.side || null,
+        number: track.number || null,
+        duration: this.getDuration(),
+        ...this.getNowPlaying(),
+        boundaries: this.getTrackBoundaries(),
+      };
+    }
+  
+    // Title, artist, album and artwork URL of the track on the tape head
+    getNowPlaying() {
+      const track = this.queue.current || {};
+      return {
+        title: track.title || this.queue.label(),
+        artist: track.artist || '',
+        album: track.album || '',
+        artwork: track.artwork || null,
+      };
+    }
+  
+    // Where each song on the track after the first starts, in seconds
+    getTrackBoundaries() {
+      return this.musicSearch.boundaries;
     }
   
     // Play a specific sound buffer
@@ -96,80 +454,275 @@ export class AudioManager {
       return source;
     }
   
-    // Play main audio based on direction and playback rate
-    playAudio() {
-      if (this.isPlaying || !this.audioBuffers.main) return;
+    // Press Play at the selected speed
+    play() {
+      return this.command('play');
+    }
   
-      if (this.audioContext.state === 'suspended') {
+    // Wind forwards
+    fastForward() {
+      return this.command('fastForward');
+    }
+  
+    // Wind backwards
+    rewind() {
+      return this.command('rewind');
+    }
+  
+    // Record onto the tape from the current position; the recorder must be armed
+    record() {
+      return this.command('record');
+    }
+  
+    // Hold the tape where it is, keeping the transport mode for resume
+    pause() {
+      return this.command('pause');
+    }
+  
+    // Carry on from a pause in the same transport mode
+    resume() {
+      return this.command('resume');
+    }
+  
+    // Stop, leaving the tape where it is
+    stop() {
+      return this.command('stop');
+    }
+  
+    // Stop and put the tape back to the start of the track. The motor is cut rather than
+    // left to wind down, so the tape does not coast on past zero.
+    returnToZero() {
+      this.stop();
+      if (!this.tapeHead) return;
+      this.driveTape(0, 0);
+      this.seek(0);
+    }
+  
+    // Handle the tape head running off either end of the tape
+    handleTapeEnd() {
+      if (!this.isPlaying) return;
+      // A search back to the first song has found it, even if the tape got to the start
+      // before the search looked
+      if (this.search) {
+        this.stopAtSearchTarget();
+        return;
+      }
+      this.command('end', 'ended');
+    }
+  
+    // Whether the transport accepts a command right now
+    canCommand(name) {
+      return this.transport.can(name);
+    }
+  
+    // Send a command to the transport state machine and make the deck follow the new state.
+    // Returns false when the transport rejects the command in its current state.
+    command(name, reason = null) {
+      if (!this.transport.can(name)) return false;
+  
+      // Any key press calls off a music search; searchMusic sets up its own after winding
+      this.endSearch();
+  
+      const { state, previousState } = this.transport.send(name);
+      if (state === previousState) return true;
+  
+      this.applyState(state, previousState, reason);
+      this.emit('statechange', { state, previousState, reason });
+      return true;
+    }
+  
+    // Make the tape, heads and winding sound follow a transport state
+    applyState(state, previousState, reason = null) {
+      const moving = MOVING_STATES.includes(state);
+      if (previousState === 'recording') {
+        this.stopRecordHead();
+      }
+      if (moving && this.audioContext.state === 'suspended') {
         this.audioContext.resume();
       }
   
-      this.sourceNode = this.audioContext.createBufferSource();
-      this.sourceNode.buffer = this.direction === 1 ? this.audioBuffers.main : this.audioBuffers.reversed;
-      this.sourceNode.playbackRate.value = this.playbackRate;
-      this.sourceNode.connect(this.audioContext.destination);
+      if (state === 'playing') this.setTransport(1, this.playSpeed);
+      if (state === 'fastforward') this.setTransport(1, WIND_RATE);
+      if (state === 'rewind') this.setTransport(-1, WIND_RATE);
+      if (state === 'recording') this.setTransport(1, 1);
+  
+      if (state === 'recording') {
+        // The erase head clears what was there, so nothing plays back while recording
+        this.monitorGain.gain.setValueAtTime(0, this.audioContext.currentTime);
+        // The record head writes at nominal speed straight away
+        this.driveTape(1, 0.01);
+        this.recorder.start(this.getCurrentPosition());
+      } else if (moving) {
+        // A running tape glides to the new speed, passing smoothly through zero on reversal
+        this.driveTape(this.playbackRate * this.direction);
+      } else if (state === 'paused') {
+        // Pause pinches the tape almost at once
+        this.driveTape(0, 0.02);
+      } else if (reason === 'search') {
+        // A music search stops dead on the song start it found (see checkSearch)
+        this.driveTape(0, 0);
+      } else {
+        // The tape winds down to a standstill
+        this.driveTape(0);
+      }
   
-      const offset = this.direction === 1 ? this.currentPosition : this.audioBuffers.main.duration - this.currentPosition;
-      this.sourceNode.start(0, offset);
-      this.startTime = this.audioContext.currentTime;
-      this.isPlaying = true;
+      // Only Play repeats the A–B loop and keeps its key; winding and recording run straight
+      // through the loop at the pitch the tape speed gives them
+      this.tapeHead.setLoopActive(state === 'playing');
+      this.tapeHead.setKeyLock(this.keyLock && state === 'playing');
   
-      // Handle Song End
-      this.sourceNode.onended = () => {
-        this.stopAudio();
-        // Dispatch a custom event to notify that playback has ended
-        window.dispatchEvent(new Event('playbackEnded'));
-      };
+      this.tapeEffects.setRunning(moving);
+      if (state === 'fastforward' || state === 'rewind') {
+        this.startFastWindTape();
+      } else {
+        this.stopFastWindTape();
+      }
     }
   
-    // Stop main audio playback
-    stopAudio() {
-      if (!this.isPlaying) return;
+    // Overwrite tape samples from a sample index, returning how many were written
+    writeToTape(startIndex, channels) {
+      const { main } = this.audioBuffers;
+      if (!main || channels.length === 0) return 0;
   
-      if (this.sourceNode) {
-        this.sourceNode.onended = null; // Prevent onended from firing
-        this.sourceNode.stop();
-        this.sourceNode.disconnect();
-        this.sourceNode = null;
+      const count = Math.max(0, Math.min(channels[0].length, main.length - startIndex));
+      this.tapeHead.write(startIndex, channels.map((data) => data.subarray(0, count)));
+      return count;
+    }
+  
+    // Lift the record head and unmute playback
+    stopRecordHead() {
+      this.recorder.stop();
+      this.monitorGain.gain.setValueAtTime(1, this.audioContext.currentTime);
+      this.remeasureTape();
+    }
+  
+    // Take what the deck needs from a tape's samples: the overview for the waveform strip
+    // and the gaps between songs
+    measureTape(buffer) {
+      this.tapePeaks = computePeaks(buffer);
+      this.musicSearch.analyse(buffer);
+    }
+  
+    // Measure the tape again after recording, which may have filled or made gaps between songs
+    async remeasureTape() {
+      const track = this.loadedTrack;
+      try {
+        const buffer = await this.readTape();
+        if (this.loadedTrack !== track) return;
+        this.measureTape(buffer);
+        this.emit('tapechange', { boundaries: this.getTrackBoundaries() });
+      } catch (error) {
+        this.reportError(error, 'record');
+      }
+    }
+  
+    // A copy of the tape as it is now, read back from the tape head, e.g. to bounce it
+    async readTape() {
+      const { main } = this.audioBuffers;
+      if (!main) throw new Error('No tape loaded');
+      const channels = await this.tapeHead.read();
+      const buffer = this.audioContext.createBuffer(channels.length, main.length, main.sampleRate);
+      channels.forEach((data, c) => buffer.getChannelData(c).set(data));
+      return buffer;
+    }
+  
+    // Wind to the start of the next song (direction 1) or of the current or previous one (-1)
+    // and stop there, like a deck's music search. With no song start ahead, FF winds on to
+    // the end as usual.
+    searchMusic(direction) {
+      const position = this.getCurrentPosition();
+      const target = direction > 0 ? this.musicSearch.next(position) : this.musicSearch.previous(position);
+      if (!this.command(direction > 0 ? 'fastForward' : 'rewind')) return false;
+  
+      if (target !== null) {
+        this.search = { target, direction };
+        this.searchIntervalId = this.clock.setInterval(() => this.checkSearch(), SEARCH_INTERVAL);
       }
+      return true;
+    }
   
-      // Update currentPosition
-      this.currentPosition += (this.audioContext.currentTime - this.startTime) * this.playbackRate * this.direction;
-      this.currentPosition = Math.max(0, Math.min(this.currentPosition, this.audioBuffers.main.duration));
+    // Call off a music search, if one is running
+    endSearch() {
+      this.clock.clearInterval(this.searchIntervalId);
+      this.searchIntervalId = null;
+      this.search = null;
+    }
   
-      this.isPlaying = false;
+    // Stop a music search once the tape has wound past its song start, and put the tape
+    // back on the spot before announcing the stop
+    checkSearch() {
+      const { target, direction } = this.search;
+      if ((this.getCurrentPosition() - target) * direction < 0) return;
+      this.stopAtSearchTarget();
+    }
   
-      // Dispatch a custom event to notify that playback has stopped
-      window.dispatchEvent(new Event('playbackStopped'));
+    // Stop dead on the song start a music search found
+    stopAtSearchTarget() {
+      this.driveTape(0, 0);
+      this.seek(this.search.target);
+      this.command('stop', 'search');
     }
   
-    // Switch playback direction and rate
-    switchPlayback(newDirection, newRate) {
-      if (this.isPlaying && this.direction === newDirection && this.playbackRate === newRate) {
-        return;
+    // What the transport is doing: one of TRANSPORT_STATES (transport.js)
+    getState() {
+      return this.transport.state;
+    }
+  
+    // Set the transport's direction and speed, announcing any change
+    setTransport(direction, rate) {
+      if (direction === this.direction && rate === this.playbackRate) return;
+      this.direction = direction;
+      this.playbackRate = rate;
+      this.emit('ratechange', { rate, direction });
+    }
+  
+    // Announce a failure once, however many layers it passes through
+    reportError(error, operation) {
+      if (error && typeof error === 'object') {
+        if (this.reportedErrors.has(error)) return;
+        this.reportedErrors.add(error);
       }
+      this.emit('error', { error, operation });
+    }
   
-      // Play button press sound
-      this.playSound(this.audioBuffers.buttonPress);
+    // Dispatch one of PLAYER_EVENTS with its detail
+    emit(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
   
-      // Stop any ongoing playback
-      if (this.isPlaying) {
-        this.stopAudio();
+    // Take hold of the tape by hand: stop the transport and scrub from here
+    startScrub() {
+      if (!this.audioBuffers.main) return;
+  
+      this.stop();
+  
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
       }
   
-      // Update playback parameters
-      this.direction = newDirection;
-      this.playbackRate = newRate;
+      this.isScrubbing = true;
+      this.tapeEffects.setRunning(true);
+    }
   
-      // Play main audio with new settings
-      this.playAudio();
+    // Move the tape to a position at a velocity in seconds of tape per second
+    scrubTo(position, velocity) {
+      if (!this.isScrubbing) return;
   
-      // Handle FastWindTape Sound Effects
-      if (this.playbackRate > 1) {
-        this.startFastWindTape();
-      } else {
-        this.stopFastWindTape();
+      // Re-sync the head if it has drifted away from the hand
+      if (Math.abs(this.tapeHead.getPosition() - position) > 0.15) {
+        this.tapeHead.seek(position);
       }
+  
+      const rate = Math.max(-16, Math.min(velocity, 16));
+      this.driveTape(Math.abs(rate) < 0.05 ? 0 : rate, 0.02);
+    }
+  
+    // Let go of the tape
+    endScrub() {
+      if (!this.isScrubbing) return;
+      this.driveTape(0, 0.02);
+      this.isScrubbing = false;
+      this.tapeEffects.setRunning(false);
     }
   
     // Play FastWindTape sound
@@ -201,24 +754,101 @@ export class AudioManager {
       this.playSound(this.audioBuffers.stopButtonPress);
     }
   
+    // Set the motor heading for a signed rate; the tape head follows the same curve.
+    // Without a time constant, the motor's inertia for this kind of change applies.
+    driveTape(rate, timeConstant) {
+      const tau = this.motor.setTarget(rate, this.audioContext.currentTime, timeConstant);
+      this.tapeHead.setRate(rate, tau);
+      this.startTicking();
+    }
+  
+    // Announce the position every tick while the tape moves
+    startTicking() {
+      if (this.tickIntervalId) return;
+      this.tickIntervalId = this.clock.setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+  
+    // One tick: announce the position, and stop ticking once the tape has come to rest
+    tick() {
+      this.emitTimeUpdate();
+      const moving = this.isPlaying || this.isScrubbing
+        || !this.motor.isSettled(this.audioContext.currentTime);
+      if (!moving) {
+        this.stopTicking();
+      }
+    }
+  
+    stopTicking() {
+      this.clock.clearInterval(this.tickIntervalId);
+      this.tickIntervalId = null;
+    }
+  
+    emitTimeUpdate() {
+      this.emit('timeupdate', { position: this.getCurrentPosition(), duration: this.getDuration() });
+    }
+  
+    // Signed tape speed right now, including any spin-up or wind-down
+    getMotorRate() {
+      return this.audioContext ? this.motor.rateAt(this.audioContext.currentTime) : 0;
+    }
+  
     // Get current playback position
     getCurrentPosition() {
-      if (!this.isPlaying) {
-        return this.currentPosition;
-      }
+      return this.tapeHead ? this.tapeHead.getPosition() : 0;
+    }
   
-      const elapsed = this.audioContext.currentTime - this.startTime;
-      const deltaPosition = elapsed * this.playbackRate * this.direction;
-      let pos = this.currentPosition + deltaPosition;
-      pos = Math.max(0, Math.min(pos, this.audioBuffers.main.duration));
-      return pos;
+    // Move the tape to a position in seconds
+    seek(position) {
+      if (this.tapeHead) {
+        this.tapeHead.seek(position);
+        this.emitTimeUpdate();
+      }
     }
   
-    // Set playback rate
+    // Set the Play speed; FF and Rewind keep winding at their own
     setPlaybackRate(rate) {
-      this.playbackRate = rate;
-      if (this.isPlaying && this.sourceNode) {
-        this.sourceNode.playbackRate.setValueAtTime(this.playbackRate, this.audioContext.currentTime);
+      this.playSpeed = rate;
+      if (this.transport.state === 'playing') {
+        this.setTransport(1, rate);
+        this.driveTape(this.playbackRate * this.direction);
+      }
+    }
+  
+    // Keep Play at its pitch whatever the speed (time-stretch), or let the pitch follow the
+    // speed like a real tape. The reels follow the tape speed either way.
+    setKeyLock(enabled) {
+      this.keyLock = Boolean(enabled);
+      if (this.tapeHead) {
+        this.tapeHead.setKeyLock(this.keyLock && this.transport.state === 'playing');
+      }
+    }
+  
+    // Bounce the track to a WAV file as the deck would play it (see bounce.js), rendered
+    // offline rather than in real time; onProgress(fraction) follows the render
+    async bounce(onProgress) {
+      try {
+        if (!this.audioBuffers.main) throw new Error('No tape loaded');
+        const rendered = await renderBounce(this, { createContext: this.createOfflineContext, onProgress });
+        return new Blob([encodeWav(rendered)], { type: 'audio/wav' });
+      } catch (error) {
+        this.reportError(error, 'bounce');
+        throw error;
+      }
+    }
+  
+    // Take the deck out of the signal path; a context of our own is closed, a shared one left running
+    dispose() {
+      this.stop();
+      this.stopTicking();
+      this.stopFastWindTape();
+      this.recorder.release();
+      if (!this.tapeHead) return;
+  
+      this.toneControls.output.disconnect();
+      this.tapeEffects.dispose();
+      this.tapeHead.dispose();
+      if (!this.sharedAudioContext) {
+        this.audioContext.close();
       }
     }
   }
\ No newline at end of file
@@ -0,0 +1,92 @@
+// bounce.js
+
+import { TapeHead } from './tapeHead.js';
+import { TapeEffects } from './tapeEffects.js';
+import { ToneControls } from './toneControls.js';
+
+// Channels in a bounce; the deck's output is stereo, whatever the tape
+const BOUNCE_CHANNELS = 2;
+
+// Roughly how many times progress is reported over a bounce
+const PROGRESS_STEPS = 100;
+
+// Frames per render quantum; an offline render can only suspend between quanta
+const RENDER_QUANTUM = 128;
+
+// Render the track on a deck's tape head as the deck plays it, faster than real time: at the
+// Play speed and key lock, through the analog stage and the tone controls, and only the A–B
+// loop (once through) if one is set. createContext(numberOfChannels, length, sampleRate) makes
+// the OfflineAudioContext; onProgress(fraction) follows the render. Resolves with an AudioBuffer.
+export async function renderBounce(deck, { createContext, onProgress = () => {} }) {
+  const tape = await deck.readTape();
+  const start = deck.loop ? deck.loop.start : 0;
+  const end = deck.loop ? deck.loop.end : tape.duration;
+  const { sampleRate } = tape;
+  const length = Math.max(1, Math.ceil(((end - start) / deck.playSpeed) * sampleRate));
+  const context = createContext(BOUNCE_CHANNELS, length, sampleRate);
+
+  await TapeHead.addModule(context);
+  const tapeHead = new TapeHead(context, { buffer: tape, position: start, keyLock: deck.keyLock });
+  tapeHead.setRate(deck.playSpeed, 0);
+
+  const tapeEffects = new TapeEffects(context);
+  Object.entries(deck.tapeEffects.amounts).forEach(([name, amount]) => tapeEffects.setAmount(name, amount));
+  tapeEffects.setEnabled(deck.tapeEffects.enabled);
+  tapeEffects.setRunning(true);
+
+  const toneControls = new ToneControls(context);
+  toneControls.applySettings(deck.toneControls.getSettings());
+
+  tapeHead.connect(tapeEffects.input);
+  tapeEffects.output.connect(toneControls.input);
+  toneControls.output.connect(context.destination);
+
+  // Pause the render at whole quanta along the way to report how far it has got
+  const step = Math.max(1, Math.round(length / PROGRESS_STEPS / RENDER_QUANTUM)) * RENDER_QUANTUM;
+  for (let frame = step; frame < length; frame += step) {
+    context.suspend(frame / sampleRate).then(() => {
+      onProgress(frame / length);
+      context.resume();
+    });
+  }
+
+  const rendered = await context.startRendering();
+  onProgress(1);
+  return rendered;
+}
+
+// 16-bit PCM WAV file of an AudioBuffer, channels interleaved
+export function encodeWav(buffer) {
+  const { numberOfChannels, length, sampleRate } = buffer;
+  const blockAlign = numberOfChannels * 2;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeText = (offset, text) => {
+    [...text].forEach((character, i) => view.setUint8(offset + i, character.charCodeAt(0)));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true); // Size of the format chunk
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // Bytes per second
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // Bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    channels.forEach((data) => {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    });
+  }
+  return view.buffer;
+}
\ No newline at end of file
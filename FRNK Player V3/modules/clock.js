@@ -0,0 +1,12 @@
+// clock.js
+
+// Time, timers and animation frames the engine runs on: the browser's by default. Tests pass
+// a fake clock with the same shape (see test/helpers/fakeClock.js) and step time by hand.
+export const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (id) => clearInterval(id),
+  requestAnimationFrame: (callback) => requestAnimationFrame(callback),
+  cancelAnimationFrame: (id) => cancelAnimationFrame(id),
+};
\ No newline at end of file
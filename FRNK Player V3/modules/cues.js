@@ -0,0 +1,129 @@
+// cues.js
+
+import { getLocalStorage } from './storage.js';
+
+// Prefix of the localStorage keys cue points are kept under, one entry per track
+const STORAGE_PREFIX = 'frnk-player:cues:';
+
+// Version of the exported cue sheet format
+const CUE_SHEET_VERSION = 1;
+
+// Pressing Previous Cue this soon after passing a cue goes to the one before it
+const PREVIOUS_CUE_GRACE = 1;
+
+// Named positions on a track, kept per track (see TapeQueue.key) in localStorage.
+// Cues are { id, name, position } with the position in seconds, listed in tape order.
+export class CueStore {
+  // storage: anything with getItem/setItem/removeItem; defaults to localStorage
+  constructor({ storage = getLocalStorage() } = {}) {
+    this.storage = storage;
+    this.memory = new Map(); // Stands in for storage that is missing or full
+  }
+
+  // Cues on a track, in tape order
+  list(trackKey) {
+    if (!trackKey) return [];
+    if (this.memory.has(trackKey)) return this.memory.get(trackKey);
+
+    let cues = [];
+    try {
+      const stored = this.storage && this.storage.getItem(STORAGE_PREFIX + trackKey);
+      cues = stored ? this.validate(JSON.parse(stored)) : [];
+    } catch (error) {
+      console.warn(`Ignoring unreadable cue points for ${trackKey}:`, error);
+    }
+    this.memory.set(trackKey, cues);
+    return cues;
+  }
+
+  // Drop a cue at a position, returning it
+  add(trackKey, position, name = '') {
+    const cues = this.list(trackKey);
+    const cue = {
+      id: this.createId(cues),
+      name: name || `Cue ${cues.length + 1}`,
+      position: Math.max(0, position),
+    };
+    this.save(trackKey, [...cues, cue]);
+    return cue;
+  }
+
+  rename(trackKey, id, name) {
+    this.save(trackKey, this.list(trackKey).map((cue) => (cue.id === id ? { ...cue, name } : cue)));
+  }
+
+  remove(trackKey, id) {
+    this.save(trackKey, this.list(trackKey).filter((cue) => cue.id !== id));
+  }
+
+  // The first cue after a position, or null
+  next(trackKey, position) {
+    return this.list(trackKey).find((cue) => cue.position > position + 0.05) || null;
+  }
+
+  // The last cue before a position, skipping one just passed; or null
+  previous(trackKey, position) {
+    const earlier = this.list(trackKey).filter((cue) => cue.position < position - PREVIOUS_CUE_GRACE);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+  }
+
+  // A track's cues as a shareable cue sheet
+  exportJSON(trackKey) {
+    const cues = this.list(trackKey).map(({ name, position }) => ({ name, position }));
+    return JSON.stringify({ version: CUE_SHEET_VERSION, track: trackKey, cues }, null, 2);
+  }
+
+  // Add the cues from a cue sheet to a track's own, returning how many were added.
+  // Throws if the sheet is not one; a sheet exported from another track still applies.
+  importJSON(trackKey, json) {
+    const sheet = JSON.parse(json);
+    if (!sheet || !Array.isArray(sheet.cues)) {
+      throw new Error('Not a cue sheet: expected { cues: [{ name, position }] }');
+    }
+    const imported = this.validate(sheet.cues);
+    let cues = this.list(trackKey);
+    imported.forEach(({ name, position }) => {
+      cues = [...cues, { id: this.createId(cues), name, position }];
+    });
+    this.save(trackKey, cues);
+    return imported.length;
+  }
+
+  // Keep only well-formed cues, with fresh IDs where missing
+  validate(cues) {
+    if (!Array.isArray(cues)) throw new Error('Cue points must be a list');
+    const valid = [];
+    cues.forEach((cue) => {
+      if (!cue || !Number.isFinite(cue.position) || cue.position < 0) return;
+      valid.push({
+        id: typeof cue.id === 'string' ? cue.id : this.createId(valid),
+        name: typeof cue.name === 'string' ? cue.name : '',
+        position: cue.position,
+      });
+    });
+    return valid;
+  }
+
+  // An ID not used by any of a list of cues
+  createId(cues) {
+    let number = cues.length + 1;
+    while (cues.some((cue) => cue.id === `cue-${number}`)) number += 1;
+    return `cue-${number}`;
+  }
+
+  // Sort and keep a track's cues; they stay in memory if storage refuses them
+  save(trackKey, cues) {
+    const sorted = [...cues].sort((a, b) => a.position - b.position);
+    this.memory.set(trackKey, sorted);
+    if (!this.storage) return;
+    try {
+      if (sorted.length > 0) {
+        this.storage.setItem(STORAGE_PREFIX + trackKey, JSON.stringify(sorted));
+      } else {
+        this.storage.removeItem(STORAGE_PREFIX + trackKey);
+      }
+    } catch (error) {
+      console.warn(`Could not store cue points for ${trackKey}:`, error);
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,487 @@
+// deckTemplate.js
+
+// Images ship next to the modules, wherever the page embedding the deck lives
+const assetUrl = (name) => new URL(`../assets/${name}`, import.meta.url).href;
+
+// Styles and markup of one deck, stamped into each <frnk-player>'s shadow root.
+// The IDs are only unique within a deck; the shadow root keeps decks apart.
+export const DECK_TEMPLATE = `
+  <style>
+    :host {
+      display: inline-block;
+      position: relative;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    #container {
+      position: relative;
+      width: auto;
+      height: var(--frnk-player-height, 80vh); /* Host pages size each deck; 80% of the viewport by default */
+      max-width: 90vw; /* Limit the width to 90% of the viewport */
+    }
+    #tapeDeckImage {
+      width: 100%;
+      height: 100%;
+      object-fit: contain; /* Ensure the entire image is visible */
+      display: block;
+    }
+    canvas {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+    }
+
+    /* The spools can be grabbed and turned to scrub the tape */
+    #spoolCanvas {
+      pointer-events: auto;
+      touch-action: none;
+    }
+
+   /* Container for playback speed and timer */
+    .playback-timer-container {
+        position: absolute;
+        bottom: -20; /* Align at the bottom of the main container */
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 10px; /* Space between the dropdown and timer */
+    }
+
+    /* Adjust styles for the timer */
+    #timerDisplay {
+        position: relative; /* Adjusted to work within the flex container */
+        color: white;
+        font-size: 1 rem;
+        background: rgba(0, 0, 0, 0.5);
+        border-radius: 5px;
+        white-space: nowrap; /* Prevent text wrapping */
+    }
+
+    /* Artwork of the playing inscription, on the cassette label */
+    #artworkImage {
+        position: absolute;
+        top: 30%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        width: 12%;
+        aspect-ratio: 1;
+        object-fit: cover;
+        border-radius: 3px;
+    }
+
+    /* Offered when the deck picks up where the last visit left off */
+    #resumeNotice {
+        position: absolute;
+        top: 2%;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 2px 6px;
+        color: white;
+        font-size: 0.75rem;
+        white-space: nowrap;
+        background: rgba(0, 0, 0, 0.7);
+        border-radius: 5px;
+    }
+
+    #resumeNotice[hidden] {
+        display: none;
+    }
+
+    /* Title and artist of the playing track, above the deck */
+    #nowPlaying {
+        position: absolute;
+        bottom: calc(100% + 6px);
+        left: 50%;
+        transform: translateX(-50%);
+        color: white;
+        white-space: nowrap;
+    }
+
+    /* Pitch/speed fader and key lock, beside the speed presets */
+    .varispeed-control {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        color: white;
+        font-size: 0.75rem;
+        white-space: nowrap;
+    }
+
+    #varispeedControl {
+        width: 80px;
+    }
+
+    #varispeedDisplay {
+        min-width: 3em;
+    }
+
+    /* Auto-reverse head direction */
+    #directionIndicator {
+        color: rgba(16, 177, 27, 0.9);
+    }
+
+    /* Previous / next track buttons beside the timer */
+    .track-button {
+        background: rgba(0, 0, 0, 0.5);
+        color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+    }
+
+    .track-button.active {
+        background: rgba(16, 177, 27, 0.9);
+    }
+
+    .track-button:disabled {
+        cursor: not-allowed;
+        opacity: 0.5;
+    }
+
+    /* Waveform overview under the tape controls; click or drag to seek */
+    #waveformCanvas {
+        top: calc(100% + 110px);
+        height: 40px;
+        pointer-events: auto;
+        touch-action: none;
+        cursor: pointer;
+        background: rgba(0, 0, 0, 0.5);
+        border-radius: 5px;
+    }
+
+    /* Audio files dragged over the deck go into the mixtape builder */
+    #container.drop-target {
+        outline: 3px dashed rgba(16, 177, 27, 0.9);
+    }
+
+    /* Mixtape builder, over the deck */
+    #mixtapePanel {
+        position: absolute;
+        top: 5%;
+        left: 5%;
+        right: 5%;
+        max-height: 80%;
+        overflow-y: auto;
+        padding: 6px;
+        color: white;
+        font-size: 0.75rem;
+        background: rgba(0, 0, 0, 0.85);
+        border-radius: 5px;
+    }
+
+    #mixtapePanel[hidden] {
+        display: none;
+    }
+
+    .mixtape-controls {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+    }
+
+    .mixtape-controls input[type="number"],
+    .mixtape-side input[type="number"] {
+        width: 4em;
+    }
+
+    .mixtape-side meter {
+        width: 120px;
+    }
+
+    .mixtape-side ol {
+        margin: 4px 0;
+        padding-left: 1.5em;
+    }
+
+    .mixtape-side li {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 2px;
+    }
+
+    .mixtape-side .mixtape-track-name {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .mixtape-side .over {
+        color: #ff5b5b;
+    }
+
+    /* Cue points, under the waveform */
+    .cue-container {
+        position: absolute;
+        top: calc(100% + 156px);
+        left: 0;
+        right: 0;
+        display: flex;
+        flex-wrap: wrap;
+        align-items: flex-start;
+        gap: 6px;
+        color: white;
+        font-size: 0.75rem;
+    }
+
+    #cueList {
+        flex-basis: 100%;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        max-height: 8em;
+        overflow-y: auto;
+    }
+
+    #cueList li {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 2px;
+    }
+
+    #cueList input {
+        flex: 1;
+        background: rgba(0, 0, 0, 0.5);
+        color: white;
+        border: none;
+        border-radius: 3px;
+    }
+
+    /* Analog tape emulation controls, below the timer */
+    .tape-fx-container {
+        position: absolute;
+        top: calc(100% + 30px);
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        color: white;
+        font-size: 0.75rem;
+        white-space: nowrap;
+    }
+
+    .tape-fx-container label {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+    }
+
+    .tape-fx-container input[type="range"] {
+        width: 60px;
+    }
+
+    /* Tone controls share the tape controls' look, on the row below them */
+    .tone-container {
+        top: calc(100% + 70px);
+    }
+
+    .tone-container input[data-eq-band] {
+        width: 40px;
+    }
+
+    /* Button Container Styles */
+    .button-container {
+      position: absolute;
+      bottom: 4.2%; /* Position buttons 4.2% from the bottom of the container */
+      left: 50%;
+      transform: translateX(-50%); /* Center the container horizontally */
+      display: flex;
+      gap: 0.5px; /* Space between buttons */
+      flex-wrap: nowrap;
+      justify-content: center;
+    }
+    /* Button Styles */
+    .button {
+      width: 37px;
+      height: 40px;
+      max-width: 37px;
+      max-height: 40px;
+      min-width: 20px;
+      min-height: 30px;
+      background: rgba(85, 85, 85, 0.8);
+      color: white;
+      border: none;
+      border-radius: 3px; /* Slightly rounded corners */
+      cursor: pointer;
+
+      /* Reactive font size */
+      font-size: clamp(0.5rem, 2vw, 0.3rem);
+
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      text-align: center;
+      padding: 0; /* Remove padding to maintain square shape */
+      box-sizing: border-box;
+      transition: background 0.3s, font-size 0.3s;
+    }
+
+    /* Button Hover Effect */
+    .button:hover {
+      background: rgba(100, 100, 100, 0.9);
+    }
+
+    
+
+    /* Active Button Styles */
+    .button.active {
+        background: rgba(16, 177, 27, 0.9); /* Example: Orange background */
+        box-shadow: 0 0 10px rgba(11, 127, 19, 0.9);
+        }
+
+        /* Record key held down, waiting for Play */
+        .button.armed {
+        background: rgba(177, 16, 16, 0.9);
+        }
+
+        /* Record key while recording */
+        .button.armed.active {
+        box-shadow: 0 0 10px rgba(220, 20, 20, 0.9);
+        }
+
+        /* Optional: Disabled Button Styles */
+        .button:disabled {
+        background: rgba(85, 85, 85, 0.5);
+        cursor: not-allowed;
+        }
+
+    /* Responsive Button Sizing */
+    @media (max-width: 600px) {
+      .button {
+        width: 80px;
+        height: 80px;
+      }
+    }
+  </style>
+    <div id="container">
+        <img id="tapeDeckImage" src="${assetUrl('tapeDeck.JPG')}" alt="Tape Deck">
+        <img id="artworkImage" alt="Artwork" hidden>
+        <canvas id="spoolCanvas"></canvas>
+        <div class="button-container">
+            <button class="button" id="recordButton">Record</button>
+            <button class="button" id="playButton">Play</button>
+            <button class="button" id="rewindButton">Rewind</button>
+            <button class="button" id="fastForwardButton">Fast-F</button>
+            <button class="button" id="stopButton">Stop</button>
+        </div>
+        <div class="playback-timer-container">
+            <select id="playbackSpeedSelector" class="speed-selector">
+                <option value="0.8">&minus;20%</option>
+                <option value="1" selected>Normal Speed</option>
+                <option value="1.2">+20%</option>
+                <option value="" disabled hidden>Varispeed</option>
+            </select>
+            <label class="varispeed-control" title="Varispeed">
+                <input type="range" id="varispeedControl" min="-50" max="50" step="1" value="0">
+                <span id="varispeedDisplay">0%</span>
+            </label>
+            <label class="varispeed-control" title="Keep the pitch when changing speed">
+                <input type="checkbox" id="keyLockToggle">Key lock
+            </label>
+            <select id="autoReverseSelector" title="Auto-reverse">
+                <option value="off" selected>Reverse Off</option>
+                <option value="once">Reverse Once</option>
+                <option value="continuous">Reverse Continuous</option>
+            </select>
+            <span id="directionIndicator" title="Tape direction">&#9654;</span>
+            <button class="track-button" id="previousTrackButton" title="Previous track">&#9198;</button>
+            <div id="timerDisplay">A1 00:00 / 00:00</div>
+            <button class="track-button" id="nextTrackButton" title="Next track">&#9197;</button>
+            <button class="track-button" id="pauseButton" title="Pause">&#9208;</button>
+            <button class="track-button" id="returnToZeroButton" title="Return to zero">RTZ</button>
+            <button class="track-button" id="loopButton" title="A&ndash;B repeat">A&ndash;B</button>
+        </div>
+        <div id="nowPlaying"></div>
+        <div id="mixtapePanel" hidden>
+            <div class="mixtape-controls">
+                <select id="cassetteSelector" title="Cassette length">
+                    <option value="C46">C46</option>
+                    <option value="C60" selected>C60</option>
+                    <option value="C90">C90</option>
+                </select>
+                <label>Gap <input type="number" id="mixtapeGapControl" min="0" max="30" step="0.5" value="2"> s</label>
+                <select id="mixtapeLayoutSelector" title="How the tape loads">
+                    <option value="tracks" selected>One track per song</option>
+                    <option value="continuous">Each side as one recording</option>
+                </select>
+                <button class="track-button" id="addMixtapeFilesButton">Add files</button>
+                <input type="file" id="mixtapeFileInput" accept="audio/*" multiple hidden>
+                <button class="track-button" id="loadMixtapeButton">Load tape</button>
+                <button class="track-button" id="closeMixtapeButton" title="Close">&#10005;</button>
+            </div>
+            <div class="mixtape-side" data-side="A">
+                Side A <meter id="sideAMeter" min="0" max="1" value="0"></meter> <span id="sideATimeLeft"></span>
+                <ol id="sideAList"></ol>
+            </div>
+            <div class="mixtape-side" data-side="B">
+                Side B <meter id="sideBMeter" min="0" max="1" value="0"></meter> <span id="sideBTimeLeft"></span>
+                <ol id="sideBList"></ol>
+            </div>
+        </div>
+        <div id="resumeNotice" hidden>
+            <span id="resumeMessage"></span>
+            <button class="track-button" id="startOverButton">Start from beginning</button>
+        </div>
+        <div class="tape-fx-container">
+            <select id="tapePresetSelector">
+                <option value="off" selected>Tape FX Off</option>
+                <option value="new">New Tape</option>
+                <option value="worn">Worn Tape</option>
+                <option value="chewed">Chewed Tape</option>
+                <option value="custom">Custom</option>
+            </select>
+            <label>Wow<input type="range" data-tape-effect="wow" min="0" max="1" step="0.01" value="0"></label>
+            <label>Flutter<input type="range" data-tape-effect="flutter" min="0" max="1" step="0.01" value="0"></label>
+            <label>Saturation<input type="range" data-tape-effect="saturation" min="0" max="1" step="0.01" value="0"></label>
+            <label>Roll-off<input type="range" data-tape-effect="rolloff" min="0" max="1" step="0.01" value="0"></label>
+            <label>Hiss<input type="range" data-tape-effect="hiss" min="0" max="1" step="0.01" value="0"></label>
+        </div>
+        <div class="tape-fx-container tone-container">
+            <label>Bass<input type="range" id="bassControl" min="-12" max="12" step="1" value="0"></label>
+            <label>Treble<input type="range" id="trebleControl" min="-12" max="12" step="1" value="0"></label>
+            <select id="eqPresetSelector">
+                <option value="off" selected>EQ Off</option>
+                <option value="flat">Flat</option>
+                <option value="bassBoost">Bass Boost</option>
+                <option value="vocal">Vocal</option>
+                <option value="laptop">Laptop Speakers</option>
+                <option value="headphones">Headphones</option>
+                <option value="custom">Custom</option>
+            </select>
+            <label>60<input type="range" data-eq-band="0" min="-12" max="12" step="1" value="0"></label>
+            <label>150<input type="range" data-eq-band="1" min="-12" max="12" step="1" value="0"></label>
+            <label>400<input type="range" data-eq-band="2" min="-12" max="12" step="1" value="0"></label>
+            <label>1k<input type="range" data-eq-band="3" min="-12" max="12" step="1" value="0"></label>
+            <label>2.4k<input type="range" data-eq-band="4" min="-12" max="12" step="1" value="0"></label>
+            <label>6k<input type="range" data-eq-band="5" min="-12" max="12" step="1" value="0"></label>
+            <label>15k<input type="range" data-eq-band="6" min="-12" max="12" step="1" value="0"></label>
+        </div>
+        <canvas id="waveformCanvas"></canvas>
+        <div class="cue-container">
+            <button class="track-button" id="addCueButton" title="Drop a cue here">+ Cue</button>
+            <button class="track-button" id="previousCueButton" title="Previous cue">&#9664; Cue</button>
+            <button class="track-button" id="nextCueButton" title="Next cue">Cue &#9654;</button>
+            <button class="track-button" id="exportCuesButton" title="Save the cue sheet">Export</button>
+            <button class="track-button" id="importCuesButton" title="Load a cue sheet">Import</button>
+            <input type="file" id="importCuesInput" accept="application/json,.json" hidden>
+            <button class="track-button" id="bounceButton" title="Save the track as heard, to a WAV file">WAV</button>
+            <span id="bounceProgress"></span>
+            <button class="track-button" id="mixtapeButton" title="Make a mixtape from files on this computer">Mixtape</button>
+            <ol id="cueList"></ol>
+        </div>
+    </div>
+`;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// doublePress.js
+
+import { systemClock } from './clock.js';
+
+// A key pressed twice within this many milliseconds is a double press
+export const DOUBLE_PRESS_INTERVAL = 400;
+
+// Tells a double press of a key from two single ones, timed on a clock (see clock.js)
+export class DoublePress {
+  // options.clock tells the time (see clock.js); options.interval overrides DOUBLE_PRESS_INTERVAL
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.interval = options.interval || DOUBLE_PRESS_INTERVAL;
+    this.lastPress = null; // { key, time } of the last single press the deck took
+  }
+
+  // Run a key's double-press action if the same key was last pressed within the interval,
+  // else its single-press action. Actions return whether the deck took them; a single
+  // press the deck refused does not count towards a double press.
+  press(key, single, double) {
+    const now = this.clock.now();
+    const last = this.lastPress;
+    this.lastPress = null;
+    if (last && last.key === key && now - last.time < this.interval) return double();
+
+    const taken = single();
+    if (taken) this.lastPress = { key, time: now };
+    return taken;
+  }
+}
\ No newline at end of file
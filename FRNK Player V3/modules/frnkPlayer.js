@@ -0,0 +1,219 @@
+// frnkPlayer.js
+
+import { UIManager } from './ui.js';
+import { PLAYER_EVENTS } from './audio.js';
+import { DECK_TEMPLATE } from './deckTemplate.js';
+import { InscriptionResolver } from './inscriptions.js';
+import { TransportError } from './transport.js';
+import { tape as defaultTape } from './playback.js';
+
+// Decks on one page share an AudioContext; browsers limit how many can run at once
+let sharedAudioContext = null;
+
+function getSharedAudioContext() {
+  if (!sharedAudioContext || sharedAudioContext.state === 'closed') {
+    sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return sharedAudioContext;
+}
+
+// A one-track tape from an inscription ID or a URL
+function tapeFromSource(src) {
+  const track = InscriptionResolver.isInscriptionId(src) ? { inscription: src } : { url: src };
+  return { sideA: [track], sideB: [] };
+}
+
+// <frnk-player src="<inscription ID or URL>" speed="1.2" autoplay keyboard="window">
+//
+// Without src the deck plays the tape in playback.js. Keyboard shortcuts go to the deck
+// when it has focus, or to the whole window with keyboard="window" (one deck per page).
+// Page-wide options come from window.frnkPlayerConfig = { keyBindings, motorInertia,
+// contentServer, storage, musicSearch }; set element.config before it joins the page to
+// override them per deck.
+//
+// The element re-dispatches its deck's events (statechange, timeupdate, trackchange,
+// loadprogress, error, ratechange, directionchange, loopchange, tapechange; details in
+// audio.js), and takes commands that resolve once the transport has acted, or reject with
+// a TransportError when it refuses (e.g. Play while recording):
+//   await player.play(); await player.pause(); await player.seek(30); await player.setRate(1.2);
+//   const wav = await player.bounce(); // Blob of the track as heard
+export class FrnkPlayerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'speed'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.config = {};
+    this.ui = null;
+    this.ready = null; // Resolves once the deck has loaded its audio
+  }
+
+  connectedCallback() {
+    if (this.ui) return;
+
+    this.shadowRoot.innerHTML = DECK_TEMPLATE;
+
+    const windowKeys = this.getAttribute('keyboard') === 'window';
+    if (!windowKeys && !this.hasAttribute('tabindex')) {
+      this.tabIndex = 0;
+    }
+
+    const src = this.getAttribute('src');
+    this.ui = new UIManager(this.shadowRoot, src ? tapeFromSource(src) : defaultTape, {
+      ...window.frnkPlayerConfig,
+      ...this.config,
+      keyboardTarget: windowKeys ? window : this,
+      audioContext: getSharedAudioContext(),
+    });
+    PLAYER_EVENTS.forEach((type) => {
+      this.ui.audioManager.addEventListener(type, (event) => {
+        this.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+      });
+    });
+    this.ready = this.ui.init().then(() => this.handleReady());
+  }
+
+  disconnectedCallback() {
+    if (!this.ui) return;
+    this.ui.destroy();
+    this.ui = null;
+    this.ready = null;
+  }
+
+  async attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.ui || oldValue === newValue) return;
+    const { ui } = this;
+    await this.ready;
+    if (this.ui !== ui) return;
+
+    if (name === 'src') {
+      try {
+        await ui.loadTape(newValue ? tapeFromSource(newValue) : defaultTape);
+      } catch (error) {
+        console.error('Failed to load tape:', error);
+      }
+    } else if (name === 'speed') {
+      this.applySpeedAttribute();
+    }
+  }
+
+  // One of the transport states in transport.js
+  get state() {
+    return this.ui ? this.ui.audioManager.getState() : 'stopped';
+  }
+
+  // Tape position in seconds
+  get currentTime() {
+    return this.ui ? this.ui.audioManager.getCurrentPosition() : 0;
+  }
+
+  get duration() {
+    return this.ui ? this.ui.audioManager.getDuration() : 0;
+  }
+
+  // Play speed, 1 being nominal
+  get playbackRate() {
+    return this.ui ? this.ui.audioManager.playbackRate : 1;
+  }
+
+  // Queue position and details of the track on the tape head
+  get track() {
+    return this.ui ? this.ui.audioManager.getTrackInfo() : null;
+  }
+
+  // Play, or carry on from a pause; resolves with the new state
+  async play() {
+    const { audioManager } = await this.whenLoaded();
+    const state = audioManager.getState();
+    const accepted = state === 'paused' ? this.ui.togglePause() : this.ui.play();
+    if (!accepted) {
+      throw new TransportError('play', state);
+    }
+    return audioManager.getState();
+  }
+
+  // Pause a running transport; resolves with the new state
+  async pause() {
+    const { audioManager } = await this.whenLoaded();
+    const state = audioManager.getState();
+    if (!audioManager.isPlaying || !this.ui.togglePause()) {
+      throw new TransportError('pause', state);
+    }
+    return audioManager.getState();
+  }
+
+  // Move the tape to a position in seconds; resolves with the position reached
+  async seek(position) {
+    const { audioManager } = await this.whenLoaded();
+    if (!Number.isFinite(position)) {
+      throw new TypeError(`Not a tape position: ${position}`);
+    }
+    this.ui.seekTo(Math.max(0, Math.min(position, audioManager.getDuration())));
+    return audioManager.getCurrentPosition();
+  }
+
+  // Change the Play speed (FF and Rewind keep winding at their own); resolves with the rate
+  async setRate(rate) {
+    await this.whenLoaded();
+    if (!(rate > 0)) {
+      throw new RangeError(`Not a playback rate: ${rate}`);
+    }
+    this.ui.setPlaybackSpeed(rate);
+    return rate;
+  }
+
+  // Render the track as the deck plays it to a WAV file; resolves with the Blob.
+  // onProgress(fraction) follows the render.
+  async bounce(onProgress) {
+    const { audioManager } = await this.whenLoaded();
+    return audioManager.bounce(onProgress);
+  }
+
+  // The deck's UI, once its tape has loaded; rejects if there is none
+  async whenLoaded() {
+    if (this.ready) await this.ready;
+    if (!this.ui || !this.ui.audioManager.getDuration()) {
+      throw new Error('No tape loaded');
+    }
+    return this.ui;
+  }
+
+  // Apply the speed and autoplay attributes once the tape is loaded
+  handleReady() {
+    if (!this.ui || !this.ui.audioManager.getDuration()) return;
+
+    this.applySpeedAttribute();
+    if (this.hasAttribute('autoplay')) {
+      this.ui.play();
+      this.resumeOnFirstGesture();
+    }
+  }
+
+  applySpeedAttribute() {
+    const speed = parseFloat(this.getAttribute('speed'));
+    if (speed > 0) {
+      this.ui.setPlaybackSpeed(speed);
+    }
+  }
+
+  // Browsers hold audio until the listener interacts with the page; an autoplaying deck
+  // starts its transport straight away and is heard from the first click or key press
+  resumeOnFirstGesture() {
+    const { audioContext } = this.ui.audioManager;
+    if (audioContext.state !== 'suspended') return;
+
+    const resume = () => {
+      audioContext.resume();
+      document.removeEventListener('pointerdown', resume);
+      document.removeEventListener('keydown', resume);
+    };
+    document.addEventListener('pointerdown', resume);
+    document.addEventListener('keydown', resume);
+  }
+}
+
+if (!customElements.get('frnk-player')) {
+  customElements.define('frnk-player', FrnkPlayerElement);
+}
@@ -0,0 +1,207 @@
+// inscriptions.js
+
+// Public ord server; point the resolver at any other, e.g. a local `ord server`
+export const DEFAULT_CONTENT_SERVER = 'https://ordinals.com';
+
+// <txid>i<index>
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+
+// Resolves inscription IDs to content URLs, content types and metadata
+// using the server's /content and recursive /r/ endpoints
+export class InscriptionResolver {
+  constructor({ contentServer = DEFAULT_CONTENT_SERVER, fetch: fetchFn } = {}) {
+    this.contentServer = contentServer.replace(/\/+$/, '');
+    this.fetch = fetchFn || ((...args) => fetch(...args));
+    this.cache = new Map();
+  }
+
+  static isInscriptionId(value) {
+    return typeof value === 'string' && INSCRIPTION_ID.test(value);
+  }
+
+  // URL of an inscription's raw content
+  contentUrl(id) {
+    return `${this.contentServer}/content/${id}`;
+  }
+
+  // Turn an inscription ID, a recursive "/content/<id>" path or a URL into a fetchable URL
+  resolveReference(reference) {
+    if (!reference) return null;
+    if (InscriptionResolver.isInscriptionId(reference)) return this.contentUrl(reference);
+    if (reference.startsWith('/')) return `${this.contentServer}${reference}`;
+    return reference;
+  }
+
+  // Content URL, content type and metadata (title, artist, album, artwork) of an inscription
+  async resolve(id) {
+    if (!InscriptionResolver.isInscriptionId(id)) {
+      throw new Error(`Not an inscription ID: ${id}`);
+    }
+    if (!this.cache.has(id)) {
+      const pending = Promise.all([this.fetchContentType(id), this.fetchMetadata(id)]).then(
+        ([contentType, metadata]) => ({
+          id,
+          url: this.contentUrl(id),
+          contentType,
+          title: metadata.title || metadata.name || null,
+          artist: metadata.artist || metadata.creator || null,
+          album: metadata.album || null,
+          artwork: this.resolveReference(metadata.artwork || metadata.image || null),
+          metadata,
+        })
+      );
+      // Forget failures so a later attempt can retry
+      pending.catch(() => this.cache.delete(id));
+      this.cache.set(id, pending);
+    }
+    return this.cache.get(id);
+  }
+
+  // Content type from the recursive inscription endpoint, falling back to the content headers
+  async fetchContentType(id) {
+    const response = await this.fetch(`${this.contentServer}/r/inscription/${id}`);
+    if (response.ok) {
+      const info = await response.json();
+      if (info.content_type) return info.content_type;
+    }
+
+    const content = await this.fetch(this.contentUrl(id), { method: 'HEAD' });
+    if (!content.ok) throw new Error(`Failed to resolve inscription ${id}`);
+    return content.headers.get('content-type') || 'application/octet-stream';
+  }
+
+  // Decoded CBOR metadata, or an empty object if the inscription has none
+  async fetchMetadata(id) {
+    const response = await this.fetch(`${this.contentServer}/r/metadata/${id}`);
+    if (!response.ok) return {};
+
+    const hex = await response.json();
+    const metadata = decodeCbor(hexToBytes(hex));
+    return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  }
+}
+
+// Hex string to bytes
+export function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Minimal CBOR decoder covering what inscription metadata uses
+export function decodeCbor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const textDecoder = new TextDecoder();
+  let offset = 0;
+
+  // Argument of an item of a major type; -1 for an indefinite length, which only strings,
+  // arrays and maps may have
+  const readLength = (info, major) => {
+    if (info < 24) return info;
+    if (info === 24) return view.getUint8(offset++);
+    if (info === 25) { const v = view.getUint16(offset); offset += 2; return v; }
+    if (info === 26) { const v = view.getUint32(offset); offset += 4; return v; }
+    if (info === 27) { const v = Number(view.getBigUint64(offset)); offset += 8; return v; }
+    if (info === 31 && major >= 2 && major <= 5) return -1;
+    if (info === 31) throw new Error(`Malformed CBOR: indefinite length for major type ${major}`);
+    throw new Error(`Unsupported CBOR length encoding: ${info}`);
+  };
+
+  const isBreak = () => view.getUint8(offset) === 0xff && ++offset;
+
+  const readChunks = (major) => {
+    const chunks = [];
+    while (!isBreak()) chunks.push(readItem(major));
+    return chunks;
+  };
+
+  const readItem = (expectedMajor) => {
+    const initial = view.getUint8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    if (expectedMajor !== undefined && major !== expectedMajor) {
+      throw new Error('Malformed CBOR string chunk');
+    }
+
+    switch (major) {
+      case 0:
+        return readLength(info, major);
+      case 1:
+        return -1 - readLength(info, major);
+      case 2:
+      case 3: {
+        const length = readLength(info, major);
+        if (length === -1) {
+          const chunks = readChunks(major);
+          return major === 3 ? chunks.join('') : concatBytes(chunks);
+        }
+        const data = bytes.subarray(offset, offset + length);
+        offset += length;
+        return major === 3 ? textDecoder.decode(data) : data.slice();
+      }
+      case 4: {
+        const length = readLength(info, major);
+        const items = [];
+        if (length === -1) {
+          while (!isBreak()) items.push(readItem());
+        } else {
+          for (let i = 0; i < length; i++) items.push(readItem());
+        }
+        return items;
+      }
+      case 5: {
+        const length = readLength(info, major);
+        const map = {};
+        const readEntry = () => {
+          const key = readItem();
+          map[key] = readItem();
+        };
+        if (length === -1) {
+          while (!isBreak()) readEntry();
+        } else {
+          for (let i = 0; i < length; i++) readEntry();
+        }
+        return map;
+      }
+      case 6:
+        readLength(info, major); // Tags are ignored; the tagged item is returned as-is
+        return readItem();
+      default:
+        return readSimple(info);
+    }
+  };
+
+  const readSimple = (info) => {
+    if (info === 20) return false;
+    if (info === 21) return true;
+    if (info === 22 || info === 23) return null;
+    if (info === 25) { const v = readHalfFloat(view.getUint16(offset)); offset += 2; return v; }
+    if (info === 26) { const v = view.getFloat32(offset); offset += 4; return v; }
+    if (info === 27) { const v = view.getFloat64(offset); offset += 8; return v; }
+    throw new Error(`Unsupported CBOR simple value: ${info}`);
+  };
+
+  return bytes.length ? readItem() : null;
+}
+
+// IEEE 754 half-precision float
+function readHalfFloat(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
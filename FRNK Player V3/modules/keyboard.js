@@ -0,0 +1,63 @@
+// keyboard.js
+
+// Default bindings from KeyboardEvent.key to a transport action.
+// An action may carry an argument after a colon, e.g. "speedPreset:2".
+export const DEFAULT_KEY_BINDINGS = {
+  ' ': 'playPause',
+  ArrowLeft: 'rewind',
+  ArrowRight: 'fastForward',
+  s: 'stop',
+  r: 'record',
+  0: 'returnToZero',
+  1: 'speedPreset:1',
+  2: 'speedPreset:2',
+  3: 'speedPreset:3',
+  ',': 'previousTrack',
+  '.': 'nextTrack',
+  l: 'loop',
+  m: 'addCue',
+  '[': 'previousCue',
+  ']': 'nextCue',
+};
+
+// Keys typed into these elements belong to the element, not the transport
+const FORM_CONTROLS = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'];
+
+// Maps key presses on a target (window, or a single deck) to transport actions
+export class KeyboardShortcuts {
+  // bindings override the defaults; bind a key to null to free it
+  constructor(target, actions, bindings = {}) {
+    this.target = target;
+    this.actions = actions;
+    this.bindings = { ...DEFAULT_KEY_BINDINGS, ...bindings };
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  attach() {
+    this.target.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  detach() {
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+  }
+
+  handleKeyDown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const element = event.composedPath ? event.composedPath()[0] : event.target;
+    if (element && (FORM_CONTROLS.includes(element.tagName) || element.isContentEditable)) return;
+
+    const binding = this.bindings[event.key];
+    if (!binding) return;
+
+    const [name, argument] = binding.split(':');
+    const action = this.actions[name];
+    if (!action) return;
+
+    event.preventDefault();
+
+    // Holding a key down should not hammer the transport
+    if (event.repeat) return;
+    action(argument);
+  }
+}
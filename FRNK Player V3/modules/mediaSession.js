@@ -0,0 +1,99 @@
+// mediaSession.js
+
+// There is one media session per page; the bridge attached last owns it
+let activeBridge = null;
+
+// Bridges the player to navigator.mediaSession so OS media keys, headset buttons
+// and lock-screen controls reach the transport, and the OS shows what is playing
+export class MediaSessionBridge {
+  // actions: play, pause, stop, seekBy(offset), seekTo(time), previousTrack, nextTrack
+  constructor(actions) {
+    this.actions = actions;
+  }
+
+  // The bridge currently receiving the OS controls, if any
+  static get active() {
+    return activeBridge;
+  }
+
+  get isSupported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  }
+
+  get isActive() {
+    return activeBridge === this;
+  }
+
+  // Register handlers for the OS controls, taking them over from any other deck
+  attach() {
+    if (!this.isSupported || this.isActive) return;
+    activeBridge = this;
+
+    const handlers = {
+      play: () => this.actions.play(),
+      pause: () => this.actions.pause(),
+      stop: () => this.actions.stop(),
+      seekbackward: (details) => this.actions.seekBy(-(details.seekOffset || 10)),
+      seekforward: (details) => this.actions.seekBy(details.seekOffset || 10),
+      seekto: (details) => this.actions.seekTo(details.seekTime),
+      previoustrack: () => this.actions.previousTrack(),
+      nexttrack: () => this.actions.nextTrack(),
+    };
+
+    Object.entries(handlers).forEach(([name, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(name, handler);
+      } catch (error) {
+        // Older browsers reject actions they do not know about
+      }
+    });
+  }
+
+  // Hand the OS controls back, e.g. when the deck is removed from the page
+  detach() {
+    if (!this.isActive) return;
+    activeBridge = null;
+
+    ['play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack']
+      .forEach((name) => {
+        try {
+          navigator.mediaSession.setActionHandler(name, null);
+        } catch (error) {
+          // Older browsers reject actions they do not know about
+        }
+      });
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+  }
+
+  // Publish title, artist, album and artwork URL
+  updateMetadata({ title = '', artist = '', album = '', artwork = null } = {}) {
+    if (!this.isActive || typeof MediaMetadata === 'undefined') return;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title,
+      artist,
+      album,
+      artwork: artwork ? [{ src: artwork }] : [],
+    });
+  }
+
+  // Publish the transport state and position
+  updateState({ isPlaying, isPaused, position, duration, playbackRate }) {
+    if (!this.isActive) return;
+
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : isPaused ? 'paused' : 'none';
+
+    if (!navigator.mediaSession.setPositionState || !(duration > 0)) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        position: Math.max(0, Math.min(position, duration)),
+        // The OS only understands forward playback; rewinding is reported by position
+        playbackRate: playbackRate > 0 ? playbackRate : 1,
+      });
+    } catch (error) {
+      // Ignore out-of-range states during track changes
+    }
+  }
+}
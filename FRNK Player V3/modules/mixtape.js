@@ -0,0 +1,179 @@
+// mixtape.js
+
+// Running time of each cassette, both sides together, in seconds
+export const CASSETTE_LENGTHS = {
+  C46: 46 * 60,
+  C60: 60 * 60,
+  C90: 90 * 60,
+};
+
+export const SIDES = ['A', 'B'];
+
+// Silence left between songs unless the builder asks for another gap, in seconds
+const DEFAULT_GAP = 2;
+
+// Shortest a trimmed song may be, in seconds
+const MIN_TRACK_LENGTH = 0.5;
+
+// Copy stretches of decoded audio, each followed by some silence, into one new buffer.
+// Everything decoded by one context shares its sample rate; a mono song fills every channel.
+function assemble(context, pieces) {
+  const { sampleRate } = context;
+  const numberOfChannels = Math.max(...pieces.map(({ buffer }) => buffer.numberOfChannels));
+  const frames = (seconds) => Math.round(seconds * sampleRate);
+  const length = pieces.reduce((total, piece) => total + frames(piece.end - piece.start) + frames(piece.gapAfter), 0);
+  const output = context.createBuffer(numberOfChannels, Math.max(1, length), sampleRate);
+
+  let offset = 0;
+  pieces.forEach(({ buffer, start, end, gapAfter }) => {
+    const from = frames(start);
+    const count = frames(end - start);
+    for (let c = 0; c < numberOfChannels; c++) {
+      const data = buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1));
+      output.getChannelData(c).set(data.subarray(from, from + count), offset);
+    }
+    offset += count + frames(gapAfter);
+  });
+  return output;
+}
+
+// A mixtape put together from local audio files: songs on either side in running order,
+// each trimmed to { trimStart, trimEnd } in seconds, with a gap of silence between songs,
+// measured against a C46, C60 or C90 cassette. Songs are { id, name, buffer, side,
+// trimStart, trimEnd }, buffer being the decoded AudioBuffer.
+export class Mixtape {
+  constructor({ cassette = 'C60', gap = DEFAULT_GAP } = {}) {
+    this.tracks = [];
+    this.nextId = 1;
+    this.setCassette(cassette);
+    this.setGap(gap);
+  }
+
+  // Add a decoded song at the end of Side A, or of Side B once it no longer fits on A
+  add(name, buffer) {
+    const gapBefore = this.side('A').length > 0 ? this.gap : 0;
+    const side = buffer.duration + gapBefore <= this.timeLeft('A') ? 'A' : 'B';
+    const track = {
+      id: this.nextId++,
+      name,
+      buffer,
+      side,
+      trimStart: 0,
+      trimEnd: buffer.duration,
+    };
+    this.tracks.push(track);
+    return track;
+  }
+
+  remove(id) {
+    this.tracks = this.tracks.filter((track) => track.id !== id);
+  }
+
+  find(id) {
+    return this.tracks.find((track) => track.id === id) || null;
+  }
+
+  // Songs on a side, in running order
+  side(side) {
+    return this.tracks.filter((track) => track.side === side);
+  }
+
+  // Swap a song with its neighbour on the same side: offset -1 moves it earlier, 1 later
+  move(id, offset) {
+    const track = this.find(id);
+    if (!track) return;
+    const sideTracks = this.side(track.side);
+    const neighbour = sideTracks[sideTracks.indexOf(track) + offset];
+    if (!neighbour) return;
+
+    const a = this.tracks.indexOf(track);
+    const b = this.tracks.indexOf(neighbour);
+    [this.tracks[a], this.tracks[b]] = [neighbour, track];
+  }
+
+  // Move a song to the end of a side
+  setSide(id, side) {
+    if (!SIDES.includes(side)) throw new Error(`Unknown side: ${side}`);
+    const track = this.find(id);
+    if (!track || track.side === side) return;
+    this.remove(id);
+    track.side = side;
+    this.tracks.push(track);
+  }
+
+  // Play only part of a song, from start to end in seconds
+  setTrim(id, start, end) {
+    const track = this.find(id);
+    if (!track) return;
+    const trimStart = Math.max(0, start);
+    const trimEnd = Math.min(end, track.buffer.duration);
+    if (!(trimEnd - trimStart >= MIN_TRACK_LENGTH)) {
+      throw new RangeError(`Trimmed to nothing: ${start}–${end}`);
+    }
+    track.trimStart = trimStart;
+    track.trimEnd = trimEnd;
+  }
+
+  // Seconds of silence between songs
+  setGap(seconds) {
+    this.gap = Math.max(0, Number(seconds) || 0);
+  }
+
+  // Pick the cassette to fill: one of CASSETTE_LENGTHS
+  setCassette(cassette) {
+    if (!(cassette in CASSETTE_LENGTHS)) throw new Error(`Unknown cassette: ${cassette}`);
+    this.cassette = cassette;
+  }
+
+  // Running time of one side of the cassette, in seconds
+  get sideCapacity() {
+    return CASSETTE_LENGTHS[this.cassette] / 2;
+  }
+
+  // How long a song runs once trimmed
+  trackLength(track) {
+    return track.trimEnd - track.trimStart;
+  }
+
+  // Running time of the songs on a side with the gaps between them
+  sideLength(side) {
+    const tracks = this.side(side);
+    const music = tracks.reduce((total, track) => total + this.trackLength(track), 0);
+    return music + this.gap * Math.max(0, tracks.length - 1);
+  }
+
+  // Time left on a side of the cassette; negative once the songs run over
+  timeLeft(side) {
+    return this.sideCapacity - this.sideLength(side);
+  }
+
+  // The assembled tape, for AudioManager.loadTape: each side as one continuous recording,
+  // or (by default) each song as its own track followed by its gap. context decodes and
+  // builds the audio; tracks carry their audio as { buffer } instead of a URL.
+  toTape(context, { continuous = false } = {}) {
+    const tape = {};
+    SIDES.forEach((side) => {
+      const tracks = this.side(side);
+      const pieces = tracks.map((track, i) => ({
+        buffer: track.buffer,
+        start: track.trimStart,
+        end: track.trimEnd,
+        gapAfter: i < tracks.length - 1 ? this.gap : 0,
+      }));
+      const keys = tracks.map((track) => `local:${track.name}@${track.trimStart}-${track.trimEnd}`);
+
+      if (continuous) {
+        tape[`side${side}`] = tracks.length > 0
+          ? [{ buffer: assemble(context, pieces), key: keys.join('+'), title: `Mixtape Side ${side}` }]
+          : [];
+      } else {
+        tape[`side${side}`] = tracks.map((track, i) => ({
+          buffer: assemble(context, [pieces[i]]),
+          key: keys[i],
+          title: track.name,
+        }));
+      }
+    });
+    return tape;
+  }
+}
\ No newline at end of file
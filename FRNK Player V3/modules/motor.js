@@ -0,0 +1,58 @@
+// motor.js
+
+// Time constants (seconds) of the motor's exponential approach to a new speed
+export const DEFAULT_INERTIA = {
+  spinUp: 0.15, // Starting from standstill: a short, pitch-rising start
+  spinDown: 0.25, // Stopping: the tape winds down
+  wind: 0.6, // Heading for FF or Rewind speed: gradual acceleration
+  change: 0.1, // Any other change of speed while running
+};
+
+// Models the capstan motor so the audio rate and the reel animation follow one curve.
+// The curve matches AudioParam.setTargetAtTime, which drives the tape head.
+export class Motor {
+  constructor(inertia = {}) {
+    this.inertia = { ...DEFAULT_INERTIA, ...inertia };
+    this.startRate = 0;
+    this.targetRate = 0;
+    this.startTime = 0;
+    this.timeConstant = this.inertia.spinUp;
+  }
+
+  // Change one or more time constants
+  setInertia(inertia = {}) {
+    Object.assign(this.inertia, inertia);
+  }
+
+  // Signed rate at a time (seconds, on the audio clock)
+  rateAt(time) {
+    if (time <= this.startTime || this.timeConstant <= 0) {
+      return time <= this.startTime ? this.startRate : this.targetRate;
+    }
+    const decay = Math.exp(-(time - this.startTime) / this.timeConstant);
+    return this.targetRate + (this.startRate - this.targetRate) * decay;
+  }
+
+  // Time constant for a move between two rates
+  timeConstantFor(fromRate, toRate) {
+    if (toRate === 0) return this.inertia.spinDown;
+    if (Math.abs(toRate) > 2) return this.inertia.wind;
+    if (Math.abs(fromRate) < 0.01) return this.inertia.spinUp;
+    return this.inertia.change;
+  }
+
+  // Head for a new rate from a time; returns the time constant used
+  setTarget(rate, time, timeConstant) {
+    const fromRate = this.rateAt(time);
+    this.startRate = fromRate;
+    this.targetRate = rate;
+    this.startTime = time;
+    this.timeConstant = timeConstant === undefined ? this.timeConstantFor(fromRate, rate) : timeConstant;
+    return this.timeConstant;
+  }
+
+  // Whether the motor has effectively reached its target at a time
+  isSettled(time, tolerance = 0.001) {
+    return Math.abs(this.rateAt(time) - this.targetRate) < tolerance;
+  }
+}
@@ -0,0 +1,74 @@
+// musicSearch.js
+
+import { rms } from './vuMeter.js';
+
+// What counts as a gap between songs: quieter than threshold (dBFS) for at least
+// minGap seconds
+export const DEFAULT_MUSIC_SEARCH = { threshold: -50, minGap: 1 };
+
+// Length of the stretches the tape is measured in, in seconds
+const WINDOW = 0.05;
+
+// Searching back from this close to the start of a song goes to the song before, in seconds
+const PREVIOUS_SONG_GRACE = 2;
+
+// Searching forward skips a song start this close ahead, so a search can carry on from one
+const NEXT_SONG_MARGIN = 0.1;
+
+// Silent stretches of a buffer at least minGap long, as { start, end } in seconds. Silence at
+// either end of the tape is not between songs, so it is left out.
+export function findGaps(buffer, { threshold, minGap } = DEFAULT_MUSIC_SEARCH) {
+  const { sampleRate } = buffer;
+  const windowFrames = Math.max(1, Math.round(WINDOW * sampleRate));
+  const level = 10 ** (threshold / 20);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+
+  const gaps = [];
+  let silentFrom = null;
+  for (let from = 0; from < buffer.length; from += windowFrames) {
+    const to = Math.min(from + windowFrames, buffer.length);
+    const silent = channels.every((data) => rms(data.subarray(from, to)) < level);
+    if (silent && silentFrom === null) {
+      silentFrom = from;
+    } else if (!silent && silentFrom !== null) {
+      if (silentFrom > 0 && (from - silentFrom) / sampleRate >= minGap) {
+        gaps.push({ start: silentFrom / sampleRate, end: from / sampleRate });
+      }
+      silentFrom = null;
+    }
+  }
+  return gaps;
+}
+
+// Automatic music search, like a deck's AMS: finds the gaps between the songs on a tape,
+// and where the next or previous song starts from a position.
+// options: { threshold, minGap }, as in DEFAULT_MUSIC_SEARCH
+export class MusicSearch {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_MUSIC_SEARCH, ...options };
+    this.gaps = [];
+  }
+
+  // Find the gaps on a tape; null forgets them
+  analyse(buffer) {
+    this.gaps = buffer ? findGaps(buffer, this.options) : [];
+  }
+
+  // Where each song after the first starts, in seconds: the end of the gap before it
+  get boundaries() {
+    return this.gaps.map((gap) => gap.end);
+  }
+
+  // Start of the next song after a position, or null after the last song has started
+  next(position) {
+    const boundary = this.boundaries.find((start) => start > position + NEXT_SONG_MARGIN);
+    return boundary === undefined ? null : boundary;
+  }
+
+  // Start of the song playing at a position, or of the one before if this one has only
+  // just started; the first song starts at the beginning of the tape
+  previous(position) {
+    const earlier = this.boundaries.filter((start) => start < position - PREVIOUS_SONG_GRACE);
+    return earlier.length > 0 ? earlier.at(-1) : 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,15 @@
+// playback.js
+
+/* This module lists the tracks on each side of the tape, in running order.
+   A track is either { inscription: '<id>' }, resolved against the content server,
+   or { url: '...' }. Title, artist, album and artwork may be given here;
+   anything missing is filled in from the inscription's metadata.
+   A mixtape built in the page (see mixtape.js) carries its audio as { buffer, key }. */
+
+// Define and export the tape layout
+export const tape = {
+  sideA: [
+    { inscription: 'fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0' },
+  ],
+  sideB: [],
+};
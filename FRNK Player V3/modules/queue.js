@@ -0,0 +1,81 @@
+// queue.js
+
+// Ordered list of tracks across Side A and Side B of a tape
+export class TapeQueue {
+  constructor(tape = { sideA: [], sideB: [] }) {
+    this.tracks = [];
+    this.index = 0;
+    this.setTape(tape);
+  }
+
+  // Replace the queue contents with a new tape layout
+  setTape(tape) {
+    const sideA = (tape.sideA || []).map((track, i) => ({ ...track, side: 'A', number: i + 1 }));
+    const sideB = (tape.sideB || []).map((track, i) => ({ ...track, side: 'B', number: i + 1 }));
+    this.tracks = [...sideA, ...sideB];
+    this.index = 0;
+  }
+
+  // Currently cued track
+  get current() {
+    return this.tracks[this.index] || null;
+  }
+
+  get length() {
+    return this.tracks.length;
+  }
+
+  // Short label such as "A1" or "B3"
+  label(track = this.current) {
+    return track ? `${track.side}${track.number}` : '--';
+  }
+
+  // What identifies a track across visits, for anything stored per track:
+  // its inscription ID, its URL, or the key a track built in the page was given (see mixtape.js)
+  key(track = this.current) {
+    return track ? track.inscription || track.url || track.key || null : null;
+  }
+
+  // What identifies the whole tape: the keys of its tracks in running order
+  tapeKey() {
+    return this.tracks.map((track) => this.key(track)).join('|');
+  }
+
+  hasNext() {
+    return this.index < this.tracks.length - 1;
+  }
+
+  hasPrevious() {
+    return this.index > 0;
+  }
+
+  // Whether the next track is on the same side as the current one
+  hasNextOnSide() {
+    return this.hasNext() && this.tracks[this.index + 1].side === this.current.side;
+  }
+
+  // Whether the previous track is on the same side as the current one
+  hasPreviousOnSide() {
+    return this.hasPrevious() && this.tracks[this.index - 1].side === this.current.side;
+  }
+
+  // Index of the first track on a side, or -1 if the side is empty
+  firstIndexOfSide(side) {
+    return this.tracks.findIndex((track) => track.side === side);
+  }
+
+  // Move to a specific track index
+  select(index) {
+    if (index < 0 || index >= this.tracks.length) return null;
+    this.index = index;
+    return this.current;
+  }
+
+  next() {
+    return this.hasNext() ? this.select(this.index + 1) : null;
+  }
+
+  previous() {
+    return this.hasPrevious() ? this.select(this.index - 1) : null;
+  }
+}
@@ -0,0 +1,93 @@
+// recorder.js
+
+// Captures microphone input and writes it onto the tape at the record head
+export class TapeRecorder {
+  constructor(audioManager, options = {}) {
+    this.audioManager = audioManager;
+
+    // Source of the input stream; tests can supply a synthetic MediaStream here
+    this.getInputStream =
+      options.getInputStream || (() => navigator.mediaDevices.getUserMedia({ audio: true }));
+
+    this.stream = null;
+    this.inputNode = null;
+    this.processorNode = null;
+    this.writeIndex = 0; // in samples
+    this.isRecording = false;
+
+    // Called when the record head reaches the end of the tape
+    this.onTapeEnd = null;
+  }
+
+  // Whether an input stream is open and ready to record
+  get isArmed() {
+    return this.stream !== null;
+  }
+
+  // Open the input stream (prompts for microphone permission)
+  async arm() {
+    if (!this.stream) {
+      this.stream = await this.getInputStream();
+    }
+  }
+
+  // Close the input stream
+  release() {
+    this.stop();
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+  }
+
+  // Start writing input onto the tape from a position in seconds
+  start(position) {
+    const { audioContext, audioBuffers } = this.audioManager;
+    if (this.isRecording || !this.stream || !audioBuffers.main) return;
+
+    this.writeIndex = Math.round(position * audioBuffers.main.sampleRate);
+    this.inputNode = audioContext.createMediaStreamSource(this.stream);
+    this.processorNode = audioContext.createScriptProcessor(4096, 2, 2);
+    this.processorNode.onaudioprocess = (event) => this.writeBlock(event);
+
+    // A ScriptProcessorNode only runs while connected through to the destination
+    this.inputNode.connect(this.processorNode);
+    this.processorNode.connect(audioContext.destination);
+    this.isRecording = true;
+  }
+
+  // Stop writing input onto the tape
+  stop() {
+    if (!this.isRecording) return;
+
+    this.processorNode.onaudioprocess = null;
+    this.inputNode.disconnect();
+    this.processorNode.disconnect();
+    this.inputNode = null;
+    this.processorNode = null;
+    this.isRecording = false;
+  }
+
+  // Write one block of input onto the tape
+  writeBlock(event) {
+    const { inputBuffer, outputBuffer } = event;
+
+    // Keep the monitor output silent to avoid feedback through the speakers
+    for (let i = 0; i < outputBuffer.numberOfChannels; i++) {
+      outputBuffer.getChannelData(i).fill(0);
+    }
+
+    const channels = [];
+    for (let i = 0; i < inputBuffer.numberOfChannels; i++) {
+      channels.push(inputBuffer.getChannelData(i));
+    }
+
+    const written = this.audioManager.writeToTape(this.writeIndex, channels);
+    this.writeIndex += written;
+
+    if (written < inputBuffer.length) {
+      this.stop();
+      if (this.onTapeEnd) this.onTapeEnd();
+    }
+  }
+}
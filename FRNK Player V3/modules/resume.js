@@ -0,0 +1,65 @@
+// resume.js
+
+import { getLocalStorage } from './storage.js';
+
+// Prefix of the localStorage keys sessions are kept under, one entry per tape
+const STORAGE_PREFIX = 'frnk-player:resume:';
+
+// Where a tape was left: { index, speed, keyLock, headDirection, positions }, with the queue
+// index of the cued track, the Play speed and key lock, the auto-reverse head direction and
+// the last position in seconds of each track played, by track key (see TapeQueue.key)
+export class ResumeStore {
+  // storage: anything with getItem/setItem/removeItem; defaults to localStorage
+  constructor({ storage = getLocalStorage() } = {}) {
+    this.storage = storage;
+  }
+
+  // The saved session of a tape (see TapeQueue.tapeKey), or null
+  load(tapeKey) {
+    if (!this.storage || !tapeKey) return null;
+    try {
+      const session = JSON.parse(this.storage.getItem(STORAGE_PREFIX + tapeKey));
+      return session ? this.validate(session) : null;
+    } catch (error) {
+      console.warn(`Ignoring unreadable session for ${tapeKey}:`, error);
+      return null;
+    }
+  }
+
+  // Remember a tape's state, keeping the positions of tracks not mentioned
+  save(tapeKey, { index, speed, keyLock, headDirection, positions = {} }) {
+    if (!this.storage || !tapeKey) return;
+    const previous = this.load(tapeKey);
+    const session = this.validate({
+      index,
+      speed,
+      keyLock,
+      headDirection,
+      positions: { ...(previous && previous.positions), ...positions },
+    });
+    try {
+      this.storage.setItem(STORAGE_PREFIX + tapeKey, JSON.stringify(session));
+    } catch (error) {
+      console.warn(`Could not store session for ${tapeKey}:`, error);
+    }
+  }
+
+  clear(tapeKey) {
+    if (this.storage && tapeKey) this.storage.removeItem(STORAGE_PREFIX + tapeKey);
+  }
+
+  // Fill in defaults for anything missing or out of range
+  validate(session) {
+    const positions = {};
+    Object.entries(session.positions || {}).forEach(([trackKey, position]) => {
+      if (Number.isFinite(position) && position > 0) positions[trackKey] = position;
+    });
+    return {
+      index: Number.isInteger(session.index) && session.index >= 0 ? session.index : 0,
+      speed: session.speed > 0 ? session.speed : 1,
+      keyLock: session.keyLock === true,
+      headDirection: session.headDirection === -1 ? -1 : 1,
+      positions,
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+// scrub.js
+
+// Lets the listener grab a spool and turn it by mouse or touch to move the tape
+export class SpoolScrubber {
+  constructor(canvasElement, animationManager, audioManager) {
+    this.canvas = canvasElement;
+    this.animationManager = animationManager;
+    this.audioManager = audioManager;
+
+    // Active drag: which spool is held and how far it has turned since the last frame
+    this.drag = null;
+    this.frameId = null;
+
+    // Smoothing applied to the scrub velocity (0 = none, closer to 1 = smoother)
+    this.velocitySmoothing = 0.6;
+
+    // Hooks for the UI
+    this.onScrubStart = null;
+    this.onScrub = null;
+    this.onScrubEnd = null;
+
+    // Bind handlers to maintain 'this' context
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.tick = this.tick.bind(this);
+  }
+
+  // Start listening for pointer input on the canvas
+  attach() {
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  // Pointer position in canvas pixels
+  getCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  handlePointerDown(event) {
+    if (this.drag) return;
+
+    const { x, y } = this.getCanvasPoint(event);
+    const key = this.animationManager.hitTestSpool(x, y);
+    if (!key) return;
+
+    event.preventDefault();
+    this.canvas.setPointerCapture(event.pointerId);
+    this.canvas.style.cursor = 'grabbing';
+
+    this.drag = {
+      key,
+      pointerId: event.pointerId,
+      lastAngle: this.animationManager.getPointerAngle(key, x, y),
+      pendingRotation: 0,
+      velocity: 0,
+      lastTimestamp: null,
+    };
+
+    if (this.onScrubStart) this.onScrubStart();
+    this.audioManager.startScrub();
+    this.frameId = this.animationManager.clock.requestAnimationFrame(this.tick);
+  }
+
+  handlePointerMove(event) {
+    const { x, y } = this.getCanvasPoint(event);
+
+    if (!this.drag) {
+      // Hint that the spools can be grabbed
+      this.canvas.style.cursor = this.animationManager.hitTestSpool(x, y) ? 'grab' : '';
+      return;
+    }
+    if (event.pointerId !== this.drag.pointerId) return;
+
+    const angle = this.animationManager.getPointerAngle(this.drag.key, x, y);
+    let delta = angle - this.drag.lastAngle;
+
+    // Take the short way round when the angle wraps past ±π
+    if (delta > Math.PI) delta -= 2 * Math.PI;
+    if (delta < -Math.PI) delta += 2 * Math.PI;
+
+    this.drag.pendingRotation += delta;
+    this.drag.lastAngle = angle;
+  }
+
+  handlePointerUp(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+
+    this.canvas.releasePointerCapture(event.pointerId);
+    this.canvas.style.cursor = '';
+    this.animationManager.clock.cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.drag = null;
+
+    this.audioManager.endScrub();
+    if (this.onScrubEnd) this.onScrubEnd();
+  }
+
+  // Per-frame update: turn the reels and move the tape by the accumulated rotation
+  tick(timestamp) {
+    const drag = this.drag;
+    if (!drag) return;
+
+    if (drag.lastTimestamp !== null) {
+      const deltaTime = Math.max(0.001, (timestamp - drag.lastTimestamp) / 1000);
+      const rotation = drag.pendingRotation;
+      drag.pendingRotation = 0;
+
+      const seconds = this.animationManager.rotationToSeconds(drag.key, rotation);
+      const velocity = seconds / deltaTime;
+      drag.velocity = drag.velocity * this.velocitySmoothing + velocity * (1 - this.velocitySmoothing);
+
+      this.animationManager.turnSpool(drag.key, rotation);
+      this.audioManager.scrubTo(this.audioManager.getCurrentPosition() + seconds, drag.velocity);
+      if (this.onScrub) this.onScrub();
+    }
+    drag.lastTimestamp = timestamp;
+
+    this.frameId = this.animationManager.clock.requestAnimationFrame(this.tick);
+  }
+}
@@ -0,0 +1,10 @@
+// storage.js
+
+// The page's localStorage, or null where it is missing or blocked (e.g. sandboxed frames)
+export function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
\ No newline at end of file
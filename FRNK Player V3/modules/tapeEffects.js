@@ -0,0 +1,157 @@
+// tapeEffects.js
+
+// Amount settings (0..1) for each analog stage
+export const TAPE_PRESETS = {
+  new: { wow: 0.05, flutter: 0.05, saturation: 0.1, rolloff: 0.05, hiss: 0.05 },
+  worn: { wow: 0.35, flutter: 0.3, saturation: 0.4, rolloff: 0.45, hiss: 0.3 },
+  chewed: { wow: 0.9, flutter: 0.7, saturation: 0.75, rolloff: 0.8, hiss: 0.6 },
+};
+
+// Analog tape stage between the tape head and the output:
+// wow and flutter (modulated delay), saturation, high-frequency roll-off and hiss
+export class TapeEffects {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.enabled = false;
+    this.running = false;
+    this.amounts = { wow: 0, flutter: 0, saturation: 0, rolloff: 0, hiss: 0 };
+
+    // Entry and exit points of the stage
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    // Wow and flutter: slow and fast LFOs modulating a short delay line
+    this.delay = audioContext.createDelay(0.1);
+    this.delay.delayTime.value = 0.02;
+    this.wowLfo = this.createLfo(0.5);
+    this.wowDepth = audioContext.createGain();
+    this.flutterLfo = this.createLfo(9);
+    this.flutterDepth = audioContext.createGain();
+    this.wowLfo.connect(this.wowDepth).connect(this.delay.delayTime);
+    this.flutterLfo.connect(this.flutterDepth).connect(this.delay.delayTime);
+
+    // Saturation: soft-clip waveshaper
+    this.shaper = audioContext.createWaveShaper();
+    this.shaper.oversample = '2x';
+
+    // High-frequency roll-off
+    this.lowpass = audioContext.createBiquadFilter();
+    this.lowpass.type = 'lowpass';
+    this.lowpass.Q.value = 0.5;
+
+    // Hiss bed: looped filtered noise, gated while the tape is moving
+    this.hissSource = audioContext.createBufferSource();
+    this.hissSource.buffer = this.createNoiseBuffer(2);
+    this.hissSource.loop = true;
+    this.hissFilter = audioContext.createBiquadFilter();
+    this.hissFilter.type = 'highpass';
+    this.hissFilter.frequency.value = 4000;
+    this.hissGain = audioContext.createGain();
+    this.hissGain.gain.value = 0;
+    this.hissSource.connect(this.hissFilter).connect(this.hissGain).connect(this.output);
+    this.hissSource.start(0);
+
+    // Bypass path used while the stage is off
+    this.bypass = audioContext.createGain();
+
+    this.input.connect(this.bypass).connect(this.output);
+    this.input.connect(this.delay);
+    this.delay.connect(this.shaper).connect(this.lowpass);
+    this.wet = audioContext.createGain();
+    this.lowpass.connect(this.wet).connect(this.output);
+
+    this.applyAmounts();
+    this.setEnabled(false);
+  }
+
+  // Stop the stage's own sources, which would otherwise run as long as the context does
+  dispose() {
+    [this.wowLfo, this.flutterLfo, this.hissSource].forEach((source) => {
+      source.stop();
+      source.disconnect();
+    });
+    this.output.disconnect();
+  }
+
+  // Sine oscillator used as a modulation source
+  createLfo(frequency) {
+    const lfo = this.audioContext.createOscillator();
+    lfo.frequency.value = frequency;
+    lfo.start(0);
+    return lfo;
+  }
+
+  // White noise buffer for the hiss bed
+  createNoiseBuffer(seconds) {
+    const { sampleRate } = this.audioContext;
+    const buffer = this.audioContext.createBuffer(1, Math.round(seconds * sampleRate), sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  // Soft-clip curve; higher drive pushes the signal further into tanh
+  createSaturationCurve(amount) {
+    const drive = 1 + amount * 9;
+    const curve = new Float32Array(2048);
+    const normalise = Math.tanh(drive);
+    for (let i = 0; i < curve.length; i++) {
+      const x = (i / (curve.length - 1)) * 2 - 1;
+      curve[i] = Math.tanh(drive * x) / normalise;
+    }
+    return curve;
+  }
+
+  // Turn the analog stage on or off
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    const now = this.audioContext.currentTime;
+    this.wet.gain.setTargetAtTime(enabled ? 1 : 0, now, 0.02);
+    this.bypass.gain.setTargetAtTime(enabled ? 0 : 1, now, 0.02);
+    this.updateHiss();
+  }
+
+  // Tell the stage whether the tape is moving past the head
+  setRunning(running) {
+    this.running = running;
+    this.updateHiss();
+  }
+
+  // Set one stage's amount (0..1): wow, flutter, saturation, rolloff or hiss
+  setAmount(name, value) {
+    if (!(name in this.amounts)) throw new Error(`Unknown tape effect: ${name}`);
+    this.amounts[name] = Math.max(0, Math.min(1, value));
+    this.applyAmounts();
+  }
+
+  // Load a named preset: "new", "worn" or "chewed"
+  applyPreset(name) {
+    const preset = TAPE_PRESETS[name];
+    if (!preset) throw new Error(`Unknown tape preset: ${name}`);
+    Object.assign(this.amounts, preset);
+    this.applyAmounts();
+  }
+
+  // Push the current amounts into the audio graph
+  applyAmounts() {
+    const now = this.audioContext.currentTime;
+    const { wow, flutter, saturation, rolloff } = this.amounts;
+
+    // Up to ±4 ms of slow drift and ±0.4 ms of fast jitter
+    this.wowDepth.gain.setTargetAtTime(wow * 0.004, now, 0.05);
+    this.flutterDepth.gain.setTargetAtTime(flutter * 0.0004, now, 0.05);
+    this.shaper.curve = this.createSaturationCurve(saturation);
+
+    // Roll off from 18 kHz down to 3 kHz
+    this.lowpass.frequency.setTargetAtTime(18000 * Math.pow(3000 / 18000, rolloff), now, 0.05);
+    this.updateHiss();
+  }
+
+  // Hiss is only heard while the stage is on and the tape is moving
+  updateHiss() {
+    const level = this.enabled && this.running ? this.amounts.hiss * 0.05 : 0;
+    this.hissGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.05);
+  }
+}
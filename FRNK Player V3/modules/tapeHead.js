@@ -0,0 +1,172 @@
+// tapeHead.js
+
+// Contexts the processor has been registered with; decks sharing a context register it once
+const registrations = new WeakMap();
+
+// Copies of a buffer's channels, to hand over to the audio thread
+function copyChannels(buffer) {
+  const channels = [];
+  for (let i = 0; i < buffer.numberOfChannels; i++) {
+    channels.push(buffer.getChannelData(i).slice());
+  }
+  return channels;
+}
+
+// Main-thread side of the AudioWorklet tape head (see tapeHeadProcessor.js).
+// One node reads the tape in either direction at any rate, so no reversed copy is needed.
+export class TapeHead {
+  // Register the processor with a context; must resolve before constructing a TapeHead
+  static async addModule(audioContext) {
+    if (!registrations.has(audioContext)) {
+      const url = new URL('./tapeHeadProcessor.js', import.meta.url);
+      registrations.set(audioContext, audioContext.audioWorklet.addModule(url));
+    }
+    await registrations.get(audioContext);
+  }
+
+  // options.buffer threads a tape from the start, cued at options.position in seconds and
+  // with options.keyLock set. An offline render needs this: it can start before messages
+  // posted to the audio thread arrive.
+  constructor(audioContext, { buffer = null, position = 0, keyLock = false } = {}) {
+    this.audioContext = audioContext;
+    this.node = new AudioWorkletNode(audioContext, 'tape-head', {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      processorOptions: buffer ? { channels: copyChannels(buffer), position, keyLock } : {},
+    });
+    this.rateParam = this.node.parameters.get('rate');
+
+    this.duration = buffer ? buffer.duration : 0;
+    this.targetRate = 0;
+    this.seq = 0;
+
+    // A–B loop in seconds, and whether the head wraps at B right now (see setLoop)
+    this.loop = null;
+    this.loopActive = false;
+    this.keyLock = Boolean(buffer && keyLock);
+
+    // Last position report from the audio thread
+    this.report = { position: buffer ? position : 0, rate: 0, time: 0 };
+
+    // Reads of the tape waiting for the audio thread's copy, by request ID
+    this.pendingReads = new Map();
+    this.lastReadId = 0;
+
+    // Called when the head runs off either end of the tape
+    this.onEnded = null;
+
+    this.node.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  // Reports from the audio thread; anything from before the latest load/seek is stale
+  handleMessage(message) {
+    if (message.type === 'tape') {
+      const resolve = this.pendingReads.get(message.id);
+      this.pendingReads.delete(message.id);
+      if (resolve) resolve(message.channels);
+      return;
+    }
+    if (message.seq !== this.seq) return;
+
+    if (message.type === 'position') {
+      this.report = { position: message.position, rate: message.rate, time: message.time };
+    } else if (message.type === 'ended' && this.onEnded) {
+      this.onEnded(message.direction);
+    }
+  }
+
+  connect(destination) {
+    return this.node.connect(destination);
+  }
+
+  // Take the head out of the graph for good; the audio thread drops its copy of the tape
+  dispose() {
+    this.node.port.postMessage({ type: 'unload' });
+    this.node.disconnect();
+    this.pendingReads.clear();
+  }
+
+  // Thread a new tape past the head, parked at the start. The head takes its own copy of
+  // the samples, so the caller need not keep the buffer.
+  load(buffer) {
+    const channels = copyChannels(buffer);
+    this.seq += 1;
+    this.duration = buffer.duration;
+    this.report = { position: 0, rate: this.targetRate, time: this.audioContext.currentTime };
+    this.node.port.postMessage(
+      { type: 'load', seq: this.seq, channels },
+      channels.map((data) => data.buffer)
+    );
+  }
+
+  // Move the tape to a position in seconds
+  seek(position) {
+    const clamped = Math.max(0, Math.min(position, this.duration));
+    this.seq += 1;
+    this.report = { position: clamped, rate: this.targetRate, time: this.audioContext.currentTime };
+    this.node.port.postMessage({ type: 'seek', seq: this.seq, position: clamped });
+  }
+
+  // Read the tape back from the audio thread; resolves with a copy of each channel
+  read() {
+    this.lastReadId += 1;
+    const id = this.lastReadId;
+    return new Promise((resolve) => {
+      this.pendingReads.set(id, resolve);
+      this.node.port.postMessage({ type: 'read', id });
+    });
+  }
+
+  // Overwrite tape samples from a sample index (record head)
+  write(startIndex, channels) {
+    const copies = channels.map((data) => data.slice());
+    this.node.port.postMessage(
+      { type: 'write', startIndex, channels: copies },
+      copies.map((data) => data.buffer)
+    );
+  }
+
+  // Set or clear ({ start, end } in seconds, or null) the A–B loop. While active, the head
+  // running forward across B carries on from A within the same audio frame.
+  setLoop(loop, active = this.loopActive) {
+    this.loop = loop ? { start: loop.start, end: loop.end } : null;
+    this.loopActive = active;
+    this.node.port.postMessage({ type: 'loop', loop: this.loop, active });
+  }
+
+  // Turn wrapping at B on or off, keeping the loop points
+  setLoopActive(active) {
+    if (active === this.loopActive) return;
+    this.setLoop(this.loop, active);
+  }
+
+  // Key lock: while on, the rate changes the tempo but not the pitch
+  setKeyLock(enabled) {
+    if (enabled === this.keyLock) return;
+    this.keyLock = enabled;
+    this.node.port.postMessage({ type: 'keyLock', enabled });
+  }
+
+  // Glide to a signed rate; timeConstant sets how quickly the tape gets there
+  setRate(rate, timeConstant = 0.05) {
+    const now = this.audioContext.currentTime;
+    this.targetRate = rate;
+    this.rateParam.cancelScheduledValues(now);
+    this.rateParam.setTargetAtTime(rate, now, timeConstant);
+  }
+
+  // Current tape position in seconds, extrapolated from the last report
+  getPosition() {
+    const { position, rate, time } = this.report;
+    const elapsed = Math.max(0, this.audioContext.currentTime - time);
+    let extrapolated = position + elapsed * rate;
+
+    // The audio thread has wrapped since its last report
+    if (this.loopActive && this.loop && rate > 0 && position < this.loop.end && extrapolated >= this.loop.end) {
+      const length = this.loop.end - this.loop.start;
+      extrapolated = this.loop.start + ((extrapolated - this.loop.end) % length);
+    }
+    return Math.max(0, Math.min(extrapolated, this.duration));
+  }
+}
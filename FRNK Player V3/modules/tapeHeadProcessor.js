@@ -0,0 +1,217 @@
+// tapeHeadProcessor.js
+
+// AudioWorklet processor: a tape head reading the tape at a signed, continuously variable rate.
+// Runs in the AudioWorkletGlobalScope; see tapeHead.js for the main-thread side.
+class TapeHeadProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    // Rate in tape seconds per second: 1 is normal play, negative runs the tape backwards
+    return [{ name: 'rate', defaultValue: 0, minValue: -32, maxValue: 32, automationRate: 'a-rate' }];
+  }
+
+  // processorOptions may thread a tape from the start: { channels, position, keyLock }
+  constructor(options) {
+    super();
+    this.channels = [];
+    this.length = 0;
+    this.position = 0; // in samples, fractional
+    this.seq = 0; // Matches reports to the latest load/seek from the main thread
+    this.ended = false;
+    this.unloaded = false; // Once set, the processor is done and may be collected
+    this.framesSinceReport = 0;
+    this.reportInterval = 1024; // frames between position reports
+
+    // A–B loop in samples; while active, running forward past B jumps back to A
+    this.loop = null;
+    this.loopActive = false;
+
+    // Key lock: two overlapping grains read the tape at nominal pitch from where the
+    // head is, so the head's rate sets the tempo without changing the pitch
+    this.keyLock = false;
+    this.grainLength = Math.round(0.06 * sampleRate); // in frames
+    this.grainPhase = 0; // 0..1 through the first grain; the second is half a grain behind
+    this.grainStarts = [0, 0]; // Tape position each grain started reading from, in samples
+
+    const initial = (options && options.processorOptions) || {};
+    if (initial.channels) {
+      this.channels = initial.channels;
+      this.length = this.channels.length ? this.channels[0].length : 0;
+      this.position = Math.max(0, Math.min(initial.position * sampleRate, this.length));
+      this.keyLock = Boolean(initial.keyLock);
+      this.resetGrains();
+    }
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  // Commands from the main thread
+  handleMessage(message) {
+    switch (message.type) {
+      case 'load':
+        this.channels = message.channels;
+        this.length = this.channels.length ? this.channels[0].length : 0;
+        this.position = 0;
+        this.seq = message.seq;
+        this.ended = false;
+        this.resetGrains();
+        break;
+      case 'seek':
+        this.position = Math.max(0, Math.min(message.position * sampleRate, this.length));
+        this.seq = message.seq;
+        this.ended = false;
+        this.resetGrains();
+        break;
+      case 'write':
+        this.write(message.startIndex, message.channels);
+        break;
+      case 'read': {
+        // A copy of the tape for the main thread, which keeps none of its own
+        const channels = this.channels.map((data) => data.slice());
+        this.port.postMessage({ type: 'tape', id: message.id, channels }, channels.map((data) => data.buffer));
+        break;
+      }
+      case 'loop':
+        this.setLoop(message.loop, message.active);
+        break;
+      case 'unload':
+        // Let go of the tape; returning false from process() ends the processor
+        this.channels = [];
+        this.length = 0;
+        this.unloaded = true;
+        break;
+      case 'keyLock':
+        if (message.enabled && !this.keyLock) this.resetGrains();
+        this.keyLock = message.enabled;
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Overwrite tape samples, used by the record head
+  write(startIndex, channels) {
+    this.channels.forEach((data, c) => {
+      const input = channels[Math.min(c, channels.length - 1)];
+      const count = Math.max(0, Math.min(input.length, this.length - startIndex));
+      data.set(input.subarray(0, count), startIndex);
+    });
+  }
+
+  // Take new A–B loop points in seconds. The main thread sets B from where it last heard
+  // the head was, so by the time a new loop arrives the head may already be past B; it
+  // wraps to A straight away rather than on the next lap.
+  setLoop(loop, active) {
+    const previous = this.loop;
+    this.loop = loop ? { start: loop.start * sampleRate, end: loop.end * sampleRate } : null;
+    this.loopActive = active;
+
+    const moved = this.loop
+      && (!previous || previous.start !== this.loop.start || previous.end !== this.loop.end);
+    if (moved && active && this.position >= Math.min(this.loop.end, this.length - 1)) {
+      this.position = this.loop.start;
+      this.resetGrains();
+    }
+  }
+
+  // Line both grains up on the head, so key-locked output carries on from where it is now
+  resetGrains() {
+    this.grainStarts = [0, 1].map((grain) => this.position - this.grainOffset(grain) * this.grainLength);
+  }
+
+  // How far (0..1) a grain is through its length
+  grainOffset(grain) {
+    return (this.grainPhase + grain * 0.5) % 1;
+  }
+
+  // Key-locked sample: the two grains, each faded in and out with a Hann window.
+  // Half a grain apart, their windows always add up to one.
+  readGrains(data) {
+    let value = 0;
+    for (let grain = 0; grain < 2; grain++) {
+      const offset = this.grainOffset(grain);
+      const weight = Math.sin(Math.PI * offset) ** 2;
+      value += weight * this.readSample(data, this.grainStarts[grain] + offset * this.grainLength);
+    }
+    return value;
+  }
+
+  // Move the grains on a frame, starting a grain afresh from the head as the old one fades out
+  advanceGrains() {
+    const previous = [0, 1].map((grain) => this.grainOffset(grain));
+    this.grainPhase = (this.grainPhase + 1 / this.grainLength) % 1;
+    for (let grain = 0; grain < 2; grain++) {
+      if (this.grainOffset(grain) < previous[grain]) this.grainStarts[grain] = this.position;
+    }
+  }
+
+  // Linearly interpolated sample at a fractional position
+  readSample(data, position) {
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = data[index] || 0;
+    const b = data[index + 1] || 0;
+    return a + (b - a) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    if (this.unloaded) return false;
+
+    const output = outputs[0];
+    const frames = output[0].length;
+    const rates = parameters.rate;
+    const last = Math.max(0, this.length - 1);
+    let rate = rates[0];
+
+    for (let i = 0; i < frames; i++) {
+      if (rates.length > 1) rate = rates[i];
+
+      for (let c = 0; c < output.length; c++) {
+        const data = this.channels[Math.min(c, this.channels.length - 1)];
+        if (!data || this.ended) {
+          output[c][i] = 0;
+        } else {
+          output[c][i] = this.keyLock ? this.readGrains(data) : this.readSample(data, this.position);
+        }
+      }
+      if (this.keyLock) this.advanceGrains();
+
+      const previous = this.position;
+      this.position += rate;
+
+      // Crossing B wraps back to A, keeping the fraction so the loop stays sample-accurate
+      if (this.loopActive && this.loop && rate > 0) {
+        const end = Math.min(this.loop.end, last);
+        if (previous < end && this.position >= end) {
+          this.position = this.loop.start + (this.position - end);
+        }
+      }
+
+      // Hold at either end of the tape and tell the main thread once
+      if (this.position >= last || this.position <= 0) {
+        const pushingOut = (this.position >= last && rate > 0) || (this.position <= 0 && rate < 0);
+        this.position = Math.max(0, Math.min(this.position, last));
+        if (pushingOut && !this.ended && this.length > 0) {
+          this.ended = true;
+          this.port.postMessage({ type: 'ended', seq: this.seq, direction: Math.sign(rate) });
+        }
+      } else if (this.ended && rate !== 0) {
+        this.ended = false;
+      }
+    }
+
+    this.framesSinceReport += frames;
+    if (this.framesSinceReport >= this.reportInterval) {
+      this.framesSinceReport = 0;
+      this.port.postMessage({
+        type: 'position',
+        seq: this.seq,
+        position: this.position / sampleRate,
+        rate,
+        time: currentTime,
+      });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('tape-head', TapeHeadProcessor);
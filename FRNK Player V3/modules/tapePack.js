@@ -0,0 +1,27 @@
+// tapePack.js
+
+// Models the tape wound onto the two reels of a cassette.
+// All radii are ratios of the canvas width, matching the spool properties.
+export class TapePack {
+  constructor({ hubRatio = 0.05, fullRatio = 0.1 } = {}) {
+    this.hubRatio = hubRatio; // Bare hub
+    this.fullRatio = fullRatio; // Hub carrying the whole tape
+  }
+
+  // Pack radii of the supply and take-up reels for a fraction (0..1) of tape played.
+  // The pack's area grows linearly with the length of tape wound on it.
+  getRadii(progress) {
+    const p = Math.max(0, Math.min(1, progress || 0));
+    const hubArea = this.hubRatio ** 2;
+    const tapeArea = this.fullRatio ** 2 - hubArea;
+    return {
+      supply: Math.sqrt(hubArea + tapeArea * (1 - p)),
+      takeUp: Math.sqrt(hubArea + tapeArea * p),
+    };
+  }
+
+  // Angular velocity (radians per second) of a reel turning at a linear tape speed
+  angularVelocity(radiusRatio, linearSpeed) {
+    return linearSpeed / radiusRatio;
+  }
+}
@@ -0,0 +1,148 @@
+// toneControls.js
+
+import { getLocalStorage } from './storage.js';
+
+// Where the tone settings are kept; they apply to every deck and every tape
+const STORAGE_KEY = 'frnk-player:tone';
+
+// How far each knob and band can cut or boost, in dB
+export const TONE_RANGE = 12;
+
+// Centre frequencies (Hz) of the graphic EQ's bands
+export const EQ_BANDS = [60, 150, 400, 1000, 2400, 6000, 15000];
+
+// Band gains in dB, low to high
+export const EQ_PRESETS = {
+  flat: [0, 0, 0, 0, 0, 0, 0],
+  bassBoost: [6, 4, 1, 0, 0, 0, 0],
+  vocal: [-2, -1, 1, 3, 3, 1, 0],
+  laptop: [5, 3, 0, -1, 0, 2, 3], // Small speakers: lift the ends they cannot reproduce
+  headphones: [2, 1, 0, 0, -1, -2, 0], // Take the edge off close-up treble
+};
+
+// Tone stage between the tape and the speakers: deck-style Bass and Treble shelves,
+// then an optional graphic EQ. Everything is in dB; 0 leaves the sound untouched.
+export class ToneControls {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.bass = 0;
+    this.treble = 0;
+    this.eqEnabled = false;
+    this.eqPreset = 'flat'; // One of EQ_PRESETS, or 'custom'
+    this.eqGains = [...EQ_PRESETS.flat];
+
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    this.bassFilter = audioContext.createBiquadFilter();
+    this.bassFilter.type = 'lowshelf';
+    this.bassFilter.frequency.value = 100;
+    this.trebleFilter = audioContext.createBiquadFilter();
+    this.trebleFilter.type = 'highshelf';
+    this.trebleFilter.frequency.value = 10000;
+
+    // One peaking filter per band, an octave or so wide
+    this.bandFilters = EQ_BANDS.map((frequency) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.frequency.value = frequency;
+      filter.Q.value = 1.1;
+      return filter;
+    });
+
+    [this.bassFilter, this.trebleFilter, ...this.bandFilters]
+      .reduce((node, filter) => node.connect(filter), this.input)
+      .connect(this.output);
+  }
+
+  setBass(gain) {
+    this.bass = this.clampGain(gain);
+    this.applyGains();
+  }
+
+  setTreble(gain) {
+    this.treble = this.clampGain(gain);
+    this.applyGains();
+  }
+
+  // Switch the graphic EQ in or out; while out its bands are flat
+  setEqEnabled(enabled) {
+    this.eqEnabled = enabled;
+    this.applyGains();
+  }
+
+  // Set one band's gain, which makes the EQ setting a custom one
+  setBand(index, gain) {
+    if (!(index in EQ_BANDS)) throw new Error(`Unknown EQ band: ${index}`);
+    this.eqGains[index] = this.clampGain(gain);
+    this.eqPreset = 'custom';
+    this.applyGains();
+  }
+
+  // Load a named EQ preset: "flat", "bassBoost", "vocal", "laptop" or "headphones"
+  applyPreset(name) {
+    const preset = EQ_PRESETS[name];
+    if (!preset) throw new Error(`Unknown EQ preset: ${name}`);
+    this.eqGains = [...preset];
+    this.eqPreset = name;
+    this.applyGains();
+  }
+
+  // Everything needed to restore the stage later
+  getSettings() {
+    return {
+      bass: this.bass,
+      treble: this.treble,
+      eqEnabled: this.eqEnabled,
+      eqPreset: this.eqPreset,
+      eqGains: [...this.eqGains],
+    };
+  }
+
+  // Restore saved settings; anything missing or malformed is left as it is
+  applySettings(settings) {
+    if (!settings) return;
+    if (Number.isFinite(settings.bass)) this.bass = this.clampGain(settings.bass);
+    if (Number.isFinite(settings.treble)) this.treble = this.clampGain(settings.treble);
+    if (typeof settings.eqEnabled === 'boolean') this.eqEnabled = settings.eqEnabled;
+    if (Array.isArray(settings.eqGains) && settings.eqGains.length === EQ_BANDS.length
+      && settings.eqGains.every(Number.isFinite)) {
+      this.eqGains = settings.eqGains.map((gain) => this.clampGain(gain));
+      this.eqPreset = settings.eqPreset in EQ_PRESETS ? settings.eqPreset : 'custom';
+    }
+    this.applyGains();
+  }
+
+  clampGain(gain) {
+    return Math.max(-TONE_RANGE, Math.min(TONE_RANGE, Number(gain) || 0));
+  }
+
+  // Push the current gains into the audio graph, gliding to avoid zipper noise
+  applyGains() {
+    const now = this.audioContext.currentTime;
+    this.bassFilter.gain.setTargetAtTime(this.bass, now, 0.02);
+    this.trebleFilter.gain.setTargetAtTime(this.treble, now, 0.02);
+    this.bandFilters.forEach((filter, i) => {
+      filter.gain.setTargetAtTime(this.eqEnabled ? this.eqGains[i] : 0, now, 0.02);
+    });
+  }
+}
+
+// Tone settings saved by a previous visit, or null
+export function loadToneSettings(storage = getLocalStorage()) {
+  try {
+    return storage ? JSON.parse(storage.getItem(STORAGE_KEY)) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable tone settings:', error);
+    return null;
+  }
+}
+
+export function saveToneSettings(settings, storage = getLocalStorage()) {
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not store tone settings:', error);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+// transport.js
+
+// What the transport can be doing
+export const TRANSPORT_STATES = ['stopped', 'playing', 'paused', 'fastforward', 'rewind', 'recording'];
+
+// States in which the tape runs past the heads
+export const MOVING_STATES = ['playing', 'fastforward', 'rewind', 'recording'];
+
+// Where each command leads from each state. A command missing from a state's row is
+// rejected there: nothing winds while the record head is down, and Pause only holds
+// a moving tape. 'end' is the tape running off either end; 'resume' releases Pause
+// back into whatever it interrupted.
+const TRANSITIONS = {
+  stopped: {
+    play: 'playing',
+    fastForward: 'fastforward',
+    rewind: 'rewind',
+    record: 'recording',
+    stop: 'stopped',
+  },
+  playing: {
+    play: 'playing',
+    fastForward: 'fastforward',
+    rewind: 'rewind',
+    record: 'recording',
+    pause: 'paused',
+    stop: 'stopped',
+    end: 'stopped',
+  },
+  fastforward: {
+    play: 'playing',
+    fastForward: 'fastforward',
+    rewind: 'rewind',
+    pause: 'paused',
+    stop: 'stopped',
+    end: 'stopped',
+  },
+  rewind: {
+    play: 'playing',
+    fastForward: 'fastforward',
+    rewind: 'rewind',
+    pause: 'paused',
+    stop: 'stopped',
+    end: 'stopped',
+  },
+  paused: {
+    play: 'playing',
+    fastForward: 'fastforward',
+    rewind: 'rewind',
+    resume: null, // Back to the state Pause interrupted
+    stop: 'stopped',
+  },
+  recording: {
+    pause: 'paused',
+    stop: 'stopped',
+    end: 'stopped',
+  },
+};
+
+// Thrown when a command is not allowed in the current state
+export class TransportError extends Error {
+  constructor(command, state) {
+    super(`Cannot ${command} while ${state}`);
+    this.name = 'TransportError';
+    this.command = command;
+    this.state = state;
+  }
+}
+
+// The deck's transport: which state it is in and which key presses it accepts.
+// It only decides; the AudioManager makes the tape follow each transition.
+export class TransportStateMachine {
+  // guards: optional checks per command beyond the transition table,
+  // e.g. { record: () => microphoneReady }; a guard returning false rejects the command
+  constructor(guards = {}) {
+    this.guards = guards;
+    this.state = 'stopped';
+    this.pausedState = null; // The state Pause interrupted, while paused
+  }
+
+  get isMoving() {
+    return MOVING_STATES.includes(this.state);
+  }
+
+  // The state a command leads to from here, or null if it is rejected
+  target(command) {
+    const row = TRANSITIONS[this.state];
+    if (!(command in row)) return null;
+
+    const guard = this.guards[command];
+    if (guard && !guard()) return null;
+
+    return command === 'resume' ? this.pausedState : row[command];
+  }
+
+  can(command) {
+    return this.target(command) !== null;
+  }
+
+  // Apply a command, returning { state, previousState, command }
+  send(command) {
+    const state = this.target(command);
+    if (state === null) {
+      throw new TransportError(command, this.state);
+    }
+
+    const previousState = this.state;
+    this.pausedState = state === 'paused' ? previousState : null;
+    this.state = state;
+    return { state, previousState, command };
+  }
+}
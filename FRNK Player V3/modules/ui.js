@@ -2,38 +2,177 @@
 
 import { AudioManager } from './audio.js';
 import { AnimationManager } from './animation.js';
+import { SpoolScrubber } from './scrub.js';
+import { WaveformStrip } from './waveform.js';
+import { CueStore } from './cues.js';
+import { ResumeStore } from './resume.js';
+import { Mixtape, SIDES } from './mixtape.js';
+import { loadToneSettings, saveToneSettings } from './toneControls.js';
+import { KeyboardShortcuts } from './keyboard.js';
+import { MediaSessionBridge } from './mediaSession.js';
+import { DoublePress } from './doublePress.js';
+import { systemClock } from './clock.js';
+
+// A download's object URL is kept this many milliseconds, long enough for the browser to
+// start the download before the URL is revoked
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+// Transport states a deck carries on in after a track change or a scrub,
+// with the command that gets back into each
+const RESUME_COMMANDS = { playing: 'play', fastforward: 'fastForward', rewind: 'rewind' };
+const RESUMABLE_STATES = Object.keys(RESUME_COMMANDS);
+
+// A session is saved each time the tape has moved this many seconds
+const SESSION_SAVE_DISTANCE = 5;
+
+// A track left this close to its end is heard out; the next visit starts it afresh
+const SESSION_END_MARGIN = 2;
+
+// Wires one deck's markup to its own audio and animation. The root is the document
+// or a shadow root (see frnkPlayer.js), so each deck only touches its own elements.
+export class UIManager {
+  // options.keyBindings overrides the default keyboard shortcuts (see keyboard.js);
+  // options.keyboardTarget is where the shortcuts listen (default: the whole window);
+  // options.motorInertia overrides the motor's time constants (see motor.js);
+  // options.contentServer points inscription tracks at another ord server (see inscriptions.js);
+  // options.musicSearch sets what counts as a gap between songs (see musicSearch.js);
+  // options.audioContext, fetch, clock and getInputStream are passed on to the engine (see audio.js);
+  // options.storage keeps cue points, sessions and tone settings somewhere other than
+  // localStorage (see cues.js);
+  // options.resume set to false starts every visit from the beginning (see resume.js)
+  constructor(root, tape, options = {}) {
+    this.root = root;
+    this.clock = options.clock || systemClock;
 
-class UIManager {
-  constructor() {
     // Initialize Audio and Animation Managers
-    this.audioManager = new AudioManager();
-    this.animationManager = new AnimationManager(document.getElementById('spoolCanvas'));
+    this.audioManager = new AudioManager(tape, {
+      contentServer: options.contentServer,
+      musicSearch: options.musicSearch,
+      audioContext: options.audioContext,
+      fetch: options.fetch,
+      clock: options.clock,
+      getInputStream: options.getInputStream,
+    });
+    this.audioManager.motor.setInertia(options.motorInertia);
+    this.animationManager = new AnimationManager(root.getElementById('spoolCanvas'), {
+      clock: options.clock,
+    });
 
     // Get references to DOM elements
     this.elements = {
-      playButton: document.getElementById('playButton'),
-      stopButton: document.getElementById('stopButton'),
-      rewindButton: document.getElementById('rewindButton'),
-      fastForwardButton: document.getElementById('fastForwardButton'),
-      playbackSpeedSelector: document.getElementById('playbackSpeedSelector'),
-      timerDisplay: document.getElementById('timerDisplay'),
-      spoolCanvas: document.getElementById('spoolCanvas'),
+      recordButton: root.getElementById('recordButton'),
+      playButton: root.getElementById('playButton'),
+      stopButton: root.getElementById('stopButton'),
+      pauseButton: root.getElementById('pauseButton'),
+      returnToZeroButton: root.getElementById('returnToZeroButton'),
+      loopButton: root.getElementById('loopButton'),
+      addCueButton: root.getElementById('addCueButton'),
+      previousCueButton: root.getElementById('previousCueButton'),
+      nextCueButton: root.getElementById('nextCueButton'),
+      exportCuesButton: root.getElementById('exportCuesButton'),
+      bounceButton: root.getElementById('bounceButton'),
+      bounceProgress: root.getElementById('bounceProgress'),
+      importCuesButton: root.getElementById('importCuesButton'),
+      importCuesInput: root.getElementById('importCuesInput'),
+      cueList: root.getElementById('cueList'),
+      resumeNotice: root.getElementById('resumeNotice'),
+      resumeMessage: root.getElementById('resumeMessage'),
+      startOverButton: root.getElementById('startOverButton'),
+      rewindButton: root.getElementById('rewindButton'),
+      fastForwardButton: root.getElementById('fastForwardButton'),
+      previousTrackButton: root.getElementById('previousTrackButton'),
+      nextTrackButton: root.getElementById('nextTrackButton'),
+      playbackSpeedSelector: root.getElementById('playbackSpeedSelector'),
+      varispeedControl: root.getElementById('varispeedControl'),
+      varispeedDisplay: root.getElementById('varispeedDisplay'),
+      keyLockToggle: root.getElementById('keyLockToggle'),
+      autoReverseSelector: root.getElementById('autoReverseSelector'),
+      directionIndicator: root.getElementById('directionIndicator'),
+      tapePresetSelector: root.getElementById('tapePresetSelector'),
+      tapeEffectControls: root.querySelectorAll('[data-tape-effect]'),
+      bassControl: root.getElementById('bassControl'),
+      trebleControl: root.getElementById('trebleControl'),
+      eqPresetSelector: root.getElementById('eqPresetSelector'),
+      eqBandControls: root.querySelectorAll('[data-eq-band]'),
+      timerDisplay: root.getElementById('timerDisplay'),
+      nowPlaying: root.getElementById('nowPlaying'),
+      artworkImage: root.getElementById('artworkImage'),
+      spoolCanvas: root.getElementById('spoolCanvas'),
+      waveformCanvas: root.getElementById('waveformCanvas'),
+      container: root.getElementById('container'),
+      mixtapeButton: root.getElementById('mixtapeButton'),
+      mixtapePanel: root.getElementById('mixtapePanel'),
+      cassetteSelector: root.getElementById('cassetteSelector'),
+      mixtapeGapControl: root.getElementById('mixtapeGapControl'),
+      mixtapeLayoutSelector: root.getElementById('mixtapeLayoutSelector'),
+      addMixtapeFilesButton: root.getElementById('addMixtapeFilesButton'),
+      mixtapeFileInput: root.getElementById('mixtapeFileInput'),
+      loadMixtapeButton: root.getElementById('loadMixtapeButton'),
+      closeMixtapeButton: root.getElementById('closeMixtapeButton'),
+      mixtapeSides: Object.fromEntries(SIDES.map((side) => [side, {
+        meter: root.getElementById(`side${side}Meter`),
+        timeLeft: root.getElementById(`side${side}TimeLeft`),
+        list: root.getElementById(`side${side}List`),
+      }])),
     };
 
-    // Timer Interval
-    this.timerIntervalId = null;
+    // Grab-and-turn scrubbing on the spools
+    this.scrubber = new SpoolScrubber(this.elements.spoolCanvas, this.animationManager, this.audioManager);
+    this.scrubResumeState = null;
+
+    // A double press of FF or Rewind searches for a song
+    this.windPresses = new DoublePress({ clock: this.clock });
+
+    // Waveform overview of the track; clicking or dragging it seeks
+    this.waveform = new WaveformStrip(this.elements.waveformCanvas);
+
+    // A point of an A–B loop waiting for its B point, in seconds
+    this.loopPointA = null;
+
+    // Named cue points, kept per track
+    this.cues = new CueStore({ storage: options.storage });
+
+    // Where each tape was left, restored on the next visit
+    this.sessions = options.resume === false ? null : new ResumeStore({ storage: options.storage });
+    this.lastSavedPosition = null;
+    this.storage = options.storage;
+
+    // Mixtape put together from audio files dropped on the deck
+    this.mixtape = new Mixtape();
+
+    // Keyboard shortcuts and OS media controls drive the same transport as the buttons
+    this.keyboardShortcuts = new KeyboardShortcuts(
+      options.keyboardTarget || window,
+      this.getTransportActions(),
+      options.keyBindings
+    );
+    this.mediaSession = new MediaSessionBridge({
+      play: () => (this.audioManager.isPaused ? this.togglePause() : this.play()),
+      pause: () => this.audioManager.isPlaying && this.togglePause(),
+      stop: () => this.stop(),
+      seekBy: (offset) => this.seekTo(this.audioManager.getCurrentPosition() + offset),
+      seekTo: (time) => this.seekTo(time),
+      previousTrack: () => this.changeTrack(-1),
+      nextTrack: () => this.changeTrack(1),
+    });
 
     // Loading message
     this.loadingMessage = this.createLoadingMessage();
 
     // Bind methods
-    this.handlePlaybackEnded = this.handlePlaybackEnded.bind(this);
-    this.handlePlaybackStopped = this.handlePlaybackStopped.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+    this.handleTrackChanged = this.handleTrackChanged.bind(this);
+    this.handleDirectionChanged = this.handleDirectionChanged.bind(this);
+    this.handleLoopChanged = this.handleLoopChanged.bind(this);
+    this.handleTapeChanged = this.handleTapeChanged.bind(this);
+    this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.updateTimerDisplay = this.updateTimerDisplay.bind(this);
   }
 
   // Create and display loading message
   createLoadingMessage() {
-    const loadingMessage = document.createElement('div');
+    const loadingMessage = this.elements.spoolCanvas.ownerDocument.createElement('div');
     loadingMessage.textContent = 'Loading...';
     Object.assign(loadingMessage.style, {
       color: 'white',
@@ -43,7 +182,7 @@ class UIManager {
       transform: 'translate(-50%, -50%)',
       zIndex: '1000',
     });
-    document.body.appendChild(loadingMessage);
+    this.elements.spoolCanvas.parentElement.appendChild(loadingMessage);
     return loadingMessage;
   }
 
@@ -53,28 +192,55 @@ class UIManager {
       // Disable buttons initially
       this.disableTransportButtons();
 
-      // Initialize Animation
+      // Initialize Animation, winding the reels to follow the tape position
+      this.animationManager.setTapeSource(() => ({
+        position: this.audioManager.getCurrentPosition(),
+        duration: this.audioManager.getDuration(),
+      }));
+      // The reels follow the motor; while a hand holds a spool, the hand turns them
+      this.animationManager.setRateSource(() =>
+        this.audioManager.isScrubbing ? 0 : this.audioManager.getMotorRate()
+      );
+      // The VU meters read the deck's output, winding included
+      this.animationManager.setLevelSource(() => this.audioManager.getOutputLevels());
       this.animationManager.initResizeListener();
       this.animationManager.resizeCanvas();
 
+      // Cue the track the last visit left off on, so it is the one loaded
+      const session = this.loadSession();
+      if (session) this.audioManager.queue.select(session.index);
+
       // Load all audio
       await this.audioManager.loadAllAudio();
 
+      // Bring back the listener's tone settings
+      this.audioManager.toneControls.applySettings(loadToneSettings(this.storage));
+      this.renderToneControls();
+
       // Enable buttons after loading
       this.enableTransportButtons();
 
       // Remove loading message
       this.loadingMessage.remove();
 
-      // Update timer display
+      // Update timer display and track details
+      this.renderWaveform();
       this.updateTimerDisplay();
+      this.updateNowPlaying();
+      this.renderCues();
+      await this.resumeSession(session);
 
       // Attach Event Listeners
       this.attachEventListeners();
 
-      // Listen to custom audio events
-      window.addEventListener('playbackEnded', this.handlePlaybackEnded);
-      window.addEventListener('playbackStopped', this.handlePlaybackStopped);
+      // Listen to this deck's audio events
+      this.audioManager.addEventListener('statechange', this.handleStateChange);
+      this.audioManager.addEventListener('trackchange', this.handleTrackChanged);
+      this.audioManager.addEventListener('directionchange', this.handleDirectionChanged);
+      this.audioManager.addEventListener('loopchange', this.handleLoopChanged);
+      this.audioManager.addEventListener('tapechange', this.handleTapeChanged);
+      this.audioManager.addEventListener('timeupdate', this.handleTimeUpdate);
+      this.elements.spoolCanvas.ownerDocument.addEventListener('visibilitychange', this.handleVisibilityChange);
     } catch (error) {
       console.error('Initialization failed:', error);
       this.loadingMessage.textContent = 'Failed to load audio.';
@@ -84,10 +250,16 @@ class UIManager {
   // Disable transport buttons
   disableTransportButtons() {
     const transportButtons = [
+      this.elements.recordButton,
       this.elements.playButton,
       this.elements.stopButton,
+      this.elements.pauseButton,
+      this.elements.returnToZeroButton,
+      this.elements.loopButton,
       this.elements.rewindButton,
       this.elements.fastForwardButton,
+      this.elements.previousTrackButton,
+      this.elements.nextTrackButton,
     ];
     transportButtons.forEach((btn) => btn && (btn.disabled = true));
   }
@@ -95,104 +267,892 @@ class UIManager {
   // Enable transport buttons
   enableTransportButtons() {
     const transportButtons = [
+      this.elements.recordButton,
       this.elements.playButton,
       this.elements.stopButton,
+      this.elements.pauseButton,
+      this.elements.returnToZeroButton,
+      this.elements.loopButton,
       this.elements.rewindButton,
       this.elements.fastForwardButton,
+      this.elements.previousTrackButton,
+      this.elements.nextTrackButton,
     ];
     transportButtons.forEach((btn) => btn && (btn.disabled = false));
   }
 
   // Attach event listeners to buttons and selectors
   attachEventListeners() {
+    this.elements.recordButton.addEventListener('click', () => {
+      this.toggleRecordArm();
+    });
+
     this.elements.playButton.addEventListener('click', () => {
-      const rate = parseFloat(this.elements.playbackSpeedSelector.value) || 1;
-      this.switchPlayback(1, rate, this.elements.playButton);
+      this.play();
     });
 
     this.elements.stopButton.addEventListener('click', () => {
-      this.audioManager.playStopButtonPress();
-      if (this.audioManager.isPlaying) {
-        this.audioManager.stopAudio();
-      }
-      this.audioManager.currentPosition = 0;
-      this.updateTimerDisplay();
-      this.deactivatePlaybackMode();
-      this.audioManager.stopFastWindTape();
+      this.stop();
+    });
+
+    this.elements.pauseButton.addEventListener('click', () => {
+      this.togglePause();
+    });
+
+    this.elements.returnToZeroButton.addEventListener('click', () => {
+      this.returnToZero();
+    });
+
+    this.elements.loopButton.addEventListener('click', () => {
+      this.cycleLoop();
+    });
+
+    this.elements.addCueButton.addEventListener('click', () => {
+      this.addCue();
+    });
+
+    this.elements.previousCueButton.addEventListener('click', () => {
+      this.jumpToCue(-1);
+    });
+
+    this.elements.nextCueButton.addEventListener('click', () => {
+      this.jumpToCue(1);
+    });
+
+    this.elements.exportCuesButton.addEventListener('click', () => {
+      this.exportCues();
+    });
+
+    this.elements.bounceButton.addEventListener('click', () => {
+      this.bounce();
+    });
+
+    const { container } = this.elements;
+    container.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer || !event.dataTransfer.types.includes('Files')) return;
+      event.preventDefault();
+      container.classList.add('drop-target');
+    });
+
+    container.addEventListener('dragleave', (event) => {
+      if (!container.contains(event.relatedTarget)) container.classList.remove('drop-target');
+    });
+
+    container.addEventListener('drop', (event) => {
+      if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+      event.preventDefault();
+      container.classList.remove('drop-target');
+      this.addMixtapeFiles(event.dataTransfer.files);
+    });
+
+    this.elements.mixtapeButton.addEventListener('click', () => {
+      this.showMixtape();
+    });
+
+    this.elements.closeMixtapeButton.addEventListener('click', () => {
+      this.elements.mixtapePanel.hidden = true;
+    });
+
+    this.elements.addMixtapeFilesButton.addEventListener('click', () => {
+      this.elements.mixtapeFileInput.click();
+    });
+
+    this.elements.mixtapeFileInput.addEventListener('change', () => {
+      const files = [...this.elements.mixtapeFileInput.files];
+      this.elements.mixtapeFileInput.value = '';
+      this.addMixtapeFiles(files);
+    });
+
+    this.elements.cassetteSelector.addEventListener('change', () => {
+      this.mixtape.setCassette(this.elements.cassetteSelector.value);
+      this.renderMixtape();
+    });
+
+    this.elements.mixtapeGapControl.addEventListener('change', () => {
+      this.mixtape.setGap(parseFloat(this.elements.mixtapeGapControl.value));
+      this.renderMixtape();
+    });
+
+    this.elements.loadMixtapeButton.addEventListener('click', () => {
+      this.loadMixtape();
+    });
+
+    this.elements.importCuesButton.addEventListener('click', () => {
+      this.elements.importCuesInput.click();
+    });
+
+    this.elements.importCuesInput.addEventListener('change', () => {
+      const [file] = this.elements.importCuesInput.files;
+      this.elements.importCuesInput.value = '';
+      if (file) this.importCues(file);
+    });
+
+    this.elements.startOverButton.addEventListener('click', () => {
+      this.startFromBeginning();
     });
 
     this.elements.rewindButton.addEventListener('click', () => {
-      this.switchPlayback(-1, 10, this.elements.rewindButton);
+      this.rewind();
     });
 
     this.elements.fastForwardButton.addEventListener('click', () => {
-      this.switchPlayback(1, 10, this.elements.fastForwardButton);
+      this.fastForward();
+    });
+
+    this.elements.previousTrackButton.addEventListener('click', () => {
+      this.changeTrack(-1);
+    });
+
+    this.elements.nextTrackButton.addEventListener('click', () => {
+      this.changeTrack(1);
     });
 
+    // Grabbing a spool pauses the transport; letting go resumes it
+    this.scrubber.onScrubStart = () => {
+      const state = this.audioManager.getState();
+      this.scrubResumeState = RESUMABLE_STATES.includes(state) ? state : null;
+    };
+    this.scrubber.onScrub = () => this.updateTimerDisplay();
+    this.scrubber.onScrubEnd = () => {
+      if (this.scrubResumeState) {
+        this.resumePlayback(this.scrubResumeState);
+        this.scrubResumeState = null;
+      } else {
+        this.updateTimerDisplay();
+      }
+    };
+    this.scrubber.attach();
+
+    this.waveform.onSeek = (position) => this.seekTo(position);
+    this.waveform.attach();
+
     this.elements.playbackSpeedSelector.addEventListener('change', () => {
-      const selectedRate = parseFloat(this.elements.playbackSpeedSelector.value) || 1;
-      this.audioManager.setPlaybackRate(selectedRate);
+      this.applySelectedSpeed();
+    });
+
+    this.elements.varispeedControl.addEventListener('input', () => {
+      this.setPlaybackSpeed(1 + parseFloat(this.elements.varispeedControl.value) / 100);
+    });
+
+    this.elements.keyLockToggle.addEventListener('change', () => {
+      this.setKeyLock(this.elements.keyLockToggle.checked);
+    });
+
+    this.elements.autoReverseSelector.addEventListener('change', () => {
+      this.audioManager.setAutoReverseMode(this.elements.autoReverseSelector.value);
+    });
+
+    this.elements.tapePresetSelector.addEventListener('change', () => {
+      this.applyTapePreset(this.elements.tapePresetSelector.value);
+    });
+
+    this.elements.bassControl.addEventListener('input', () => {
+      this.audioManager.toneControls.setBass(parseFloat(this.elements.bassControl.value));
+      this.saveToneSettings();
+    });
+
+    this.elements.trebleControl.addEventListener('input', () => {
+      this.audioManager.toneControls.setTreble(parseFloat(this.elements.trebleControl.value));
+      this.saveToneSettings();
+    });
+
+    this.elements.eqPresetSelector.addEventListener('change', () => {
+      this.applyEqPreset(this.elements.eqPresetSelector.value);
+    });
+
+    this.elements.eqBandControls.forEach((input) => {
+      input.addEventListener('input', () => {
+        const { toneControls } = this.audioManager;
+        toneControls.setBand(parseInt(input.dataset.eqBand, 10), parseFloat(input.value));
+
+        // Moving a single band switches to a custom setting
+        toneControls.setEqEnabled(true);
+        this.elements.eqPresetSelector.value = 'custom';
+        this.saveToneSettings();
+      });
+    });
+
+    this.elements.tapeEffectControls.forEach((input) => {
+      input.addEventListener('input', () => {
+        const { tapeEffects } = this.audioManager;
+        tapeEffects.setAmount(input.dataset.tapeEffect, parseFloat(input.value) || 0);
+
+        // Adjusting a single stage switches to a custom setting
+        this.elements.tapePresetSelector.value = 'custom';
+        tapeEffects.setEnabled(true);
+      });
+    });
+
+    this.keyboardShortcuts.attach();
+    // The first deck on the page gets the OS controls until another one plays
+    if (!MediaSessionBridge.active) {
+      this.mediaSession.attach();
+    }
+    this.updateMediaSession();
+  }
+
+  // Tear the deck down when its element leaves the page
+  destroy() {
+    this.saveSession();
+    this.elements.spoolCanvas.ownerDocument.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.keyboardShortcuts.detach();
+    this.mediaSession.detach();
+    this.waveform.detach();
+    this.animationManager.dispose();
+    this.audioManager.dispose();
+  }
+
+  // Put a different tape in the deck
+  async loadTape(tape) {
+    this.disarmRecord();
+    this.disableTransportButtons();
+    this.saveSession();
+    try {
+      await this.audioManager.loadTape(tape);
+      await this.resumeSession(this.loadSession());
+    } finally {
+      this.enableTransportButtons();
+    }
+  }
+
+  // Actions available to keyboard shortcuts, by name
+  getTransportActions() {
+    return {
+      playPause: () => {
+        if (this.audioManager.isPlaying || this.audioManager.isPaused) {
+          this.togglePause();
+        } else {
+          this.play();
+        }
+      },
+      play: () => this.play(),
+      pause: () => this.togglePause(),
+      stop: () => this.stop(),
+      record: () => this.toggleRecordArm(),
+      rewind: () => this.rewind(),
+      fastForward: () => this.fastForward(),
+      returnToZero: () => this.returnToZero(),
+      previousTrack: () => this.changeTrack(-1),
+      nextTrack: () => this.changeTrack(1),
+      loop: () => this.cycleLoop(),
+      addCue: () => this.addCue(),
+      previousCue: () => this.jumpToCue(-1),
+      nextCue: () => this.jumpToCue(1),
+      speedPreset: (number) => this.selectSpeedPreset(parseInt(number, 10)),
+    };
+  }
+
+  // Play at the selected speed, or record if Record is held down
+  play() {
+    // Play with Record held down starts recording, like a real deck
+    if (this.isRecordArmed()) {
+      return this.startRecording();
+    }
+    if (!this.pressKey('play')) return false;
+    this.audioManager.resetAutoReverse();
+    return true;
+  }
+
+  // Wind backwards; pressed twice, search back to the start of the song
+  rewind() {
+    return this.pressWindKey('rewind', -1);
+  }
+
+  // Wind forwards; pressed twice, search for the next song
+  fastForward() {
+    return this.pressWindKey('fastForward', 1);
+  }
+
+  // FF or Rewind. A second press in quick succession starts a music search, which stops
+  // at the next song start that way instead of winding on (see musicSearch.js).
+  pressWindKey(command, direction) {
+    return this.windPresses.press(command, () => this.pressKey(command), () => {
+      if (!this.audioManager.canCommand(command)) return false;
+      this.audioManager.playButtonPress();
+      return this.audioManager.searchMusic(direction);
+    });
+  }
+
+  // Press a transport key; a key the transport rejects in its current state does nothing
+  pressKey(command) {
+    if (!this.audioManager.canCommand(command)) return false;
+    this.audioManager.playButtonPress();
+    return this.audioManager[command]();
+  }
+
+  // The A–B key: the first press marks A, the second marks B and starts repeating,
+  // the third clears the loop
+  cycleLoop() {
+    const position = this.audioManager.getCurrentPosition();
+    if (this.audioManager.loop) {
+      this.audioManager.clearLoop();
+    } else if (this.loopPointA === null) {
+      this.loopPointA = position;
+      this.renderLoop();
+    } else {
+      const start = this.loopPointA;
+      this.loopPointA = null;
+      try {
+        this.audioManager.setLoop(start, position);
+      } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        // B too close to A: mark A again
+        this.renderLoop();
+      }
+    }
+  }
+
+  // Light the A–B key and show the loop on the timer and the waveform
+  renderLoop() {
+    const { loop } = this.audioManager;
+    const { loopButton } = this.elements;
+    loopButton.classList.toggle('active', Boolean(loop));
+    loopButton.textContent = this.loopPointA !== null ? 'A\u2013' : 'A\u2013B';
+    this.updateWaveformMarkers();
+    this.updateTimerDisplay();
+  }
+
+  // Cue points of the track on the tape head
+  getCues() {
+    return this.cues.list(this.audioManager.queue.key());
+  }
+
+  // Drop a cue point where the tape is now
+  addCue() {
+    const trackKey = this.audioManager.queue.key();
+    if (!trackKey) return null;
+    const cue = this.cues.add(trackKey, this.audioManager.getCurrentPosition());
+    this.renderCues();
+    return cue;
+  }
+
+  // Move the tape to the next (1) or previous (-1) cue point
+  jumpToCue(step) {
+    const trackKey = this.audioManager.queue.key();
+    const position = this.audioManager.getCurrentPosition();
+    const cue = step > 0 ? this.cues.next(trackKey, position) : this.cues.previous(trackKey, position);
+    if (cue) this.seekTo(cue.position);
+    return cue;
+  }
+
+  renameCue(id, name) {
+    this.cues.rename(this.audioManager.queue.key(), id, name);
+    this.renderCues();
+  }
+
+  deleteCue(id) {
+    this.cues.remove(this.audioManager.queue.key(), id);
+    this.renderCues();
+  }
+
+  // Save the track's cue sheet as a JSON file
+  exportCues() {
+    const trackKey = this.audioManager.queue.key();
+    if (!trackKey) return;
+    const blob = new Blob([this.cues.exportJSON(trackKey)], { type: 'application/json' });
+    this.download(blob, `${this.audioManager.queue.label()} cues.json`);
+  }
+
+  // Bounce the track, as it sounds with the current speed, effects, tone and loop, to a WAV
+  // file, showing how far the render has got
+  async bounce() {
+    const { bounceButton, bounceProgress } = this.elements;
+    if (bounceButton.disabled) return;
+    bounceButton.disabled = true;
+    try {
+      const blob = await this.audioManager.bounce((fraction) => {
+        bounceProgress.textContent = `${Math.round(fraction * 100)}%`;
+      });
+      this.download(blob, `${this.audioManager.queue.label()}.wav`);
+    } catch (error) {
+      console.error('Failed to bounce the track:', error);
+    } finally {
+      bounceButton.disabled = false;
+      bounceProgress.textContent = '';
+    }
+  }
+
+  // Open the mixtape builder
+  showMixtape() {
+    this.elements.mixtapePanel.hidden = false;
+    this.renderMixtape();
+  }
+
+  // Decode audio files and add them to the mixtape; a file that will not decode is left out
+  async addMixtapeFiles(files) {
+    const audioFiles = [...files].filter((file) => !file.type || file.type.startsWith('audio/'));
+    for (const file of audioFiles) {
+      try {
+        this.mixtape.add(file.name.replace(/\.[^.]+$/, ''), await this.audioManager.decodeFile(file));
+      } catch (error) {
+        console.error(`Failed to add ${file.name} to the mixtape:`, error);
+      }
+    }
+    this.showMixtape();
+  }
+
+  // Put the mixtape in the deck, one track per song or each side as one recording
+  async loadMixtape() {
+    if (this.mixtape.tracks.length === 0) return;
+    const continuous = this.elements.mixtapeLayoutSelector.value === 'continuous';
+    const tape = this.mixtape.toTape(this.audioManager.audioContext, { continuous });
+    this.elements.mixtapePanel.hidden = true;
+    try {
+      await this.loadTape(tape);
+    } catch (error) {
+      console.error('Failed to load the mixtape:', error);
+    }
+  }
 
-      if (this.audioManager.isPlaying && this.audioManager.direction === 1) {
-        // Playback rate already updated in audio manager
+  // List each side's songs, and how much of the side they fill
+  renderMixtape() {
+    const { mixtape } = this;
+    this.elements.cassetteSelector.value = mixtape.cassette;
+    this.elements.mixtapeGapControl.value = mixtape.gap;
+    this.elements.loadMixtapeButton.disabled = mixtape.tracks.length === 0;
+
+    SIDES.forEach((side) => {
+      const { meter, timeLeft, list } = this.elements.mixtapeSides[side];
+      const left = mixtape.timeLeft(side);
+      meter.max = mixtape.sideCapacity;
+      meter.value = Math.min(mixtape.sideLength(side), mixtape.sideCapacity);
+      timeLeft.textContent = left >= 0 ? `${this.formatTime(left)} left` : `${this.formatTime(-left)} over`;
+      timeLeft.classList.toggle('over', left < 0);
+      list.replaceChildren(...mixtape.side(side).map((track) => this.createMixtapeItem(track)));
+    });
+  }
+
+  // One song in the builder: its name, trim points and running time, and buttons to move
+  // it up or down the side, over to the other side or off the tape
+  createMixtapeItem(track) {
+    const doc = this.elements.mixtapePanel.ownerDocument;
+    const item = doc.createElement('li');
+
+    const name = doc.createElement('span');
+    name.className = 'mixtape-track-name';
+    name.textContent = track.name;
+    name.title = track.name;
+
+    const createTrimInput = (value, title) => {
+      const input = doc.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.max = track.buffer.duration.toFixed(1);
+      input.step = 0.1;
+      input.value = value.toFixed(1);
+      input.title = title;
+      input.addEventListener('change', () => {
+        try {
+          this.mixtape.setTrim(track.id, parseFloat(start.value), parseFloat(end.value));
+        } catch (error) {
+          // A trim that leaves nothing to play snaps back; anything else is a fault
+          if (!(error instanceof RangeError)) this.audioManager.reportError(error, 'mixtape');
+        }
+        this.renderMixtape();
+      });
+      return input;
+    };
+    const start = createTrimInput(track.trimStart, 'Start at (seconds)');
+    const end = createTrimInput(track.trimEnd, 'End at (seconds)');
+
+    const length = doc.createElement('span');
+    length.textContent = this.formatTime(this.mixtape.trackLength(track));
+
+    const createButton = (text, title, action) => {
+      const button = doc.createElement('button');
+      button.className = 'track-button';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', () => {
+        action();
+        this.renderMixtape();
+      });
+      return button;
+    };
+    const otherSide = track.side === 'A' ? 'B' : 'A';
+
+    item.append(
+      name,
+      start,
+      end,
+      length,
+      createButton('\u25B2', 'Earlier', () => this.mixtape.move(track.id, -1)),
+      createButton('\u25BC', 'Later', () => this.mixtape.move(track.id, 1)),
+      createButton(`\u2192${otherSide}`, `Move to Side ${otherSide}`, () => this.mixtape.setSide(track.id, otherSide)),
+      createButton('\u2715', 'Take off the tape', () => this.mixtape.remove(track.id)),
+    );
+    return item;
+  }
+
+  // Save a file through the browser's downloads
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = this.elements.cueList.ownerDocument.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    this.clock.setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+  }
+
+  // Add the cues from a cue sheet file to the track's own
+  async importCues(file) {
+    const trackKey = this.audioManager.queue.key();
+    if (!trackKey) return;
+    try {
+      this.cues.importJSON(trackKey, await file.text());
+    } catch (error) {
+      console.error('Failed to import cue sheet:', error);
+    }
+    this.renderCues();
+  }
+
+  // List the track's cues: jump to one, rename it in place or delete it
+  renderCues() {
+    const { cueList } = this.elements;
+    const doc = cueList.ownerDocument;
+    cueList.replaceChildren(...this.getCues().map((cue) => {
+      const item = doc.createElement('li');
+
+      const jump = doc.createElement('button');
+      jump.className = 'track-button';
+      jump.textContent = this.formatTime(cue.position);
+      jump.title = 'Go to this cue';
+      jump.addEventListener('click', () => this.seekTo(cue.position));
+
+      const name = doc.createElement('input');
+      name.value = cue.name;
+      name.title = 'Cue name';
+      name.addEventListener('change', () => this.renameCue(cue.id, name.value));
+
+      const remove = doc.createElement('button');
+      remove.className = 'track-button';
+      remove.textContent = '\u2715';
+      remove.title = 'Delete this cue';
+      remove.addEventListener('click', () => this.deleteCue(cue.id));
+
+      item.append(jump, name, remove);
+      return item;
+    }));
+    this.updateWaveformMarkers();
+  }
+
+  // Show the track's overview on the waveform strip
+  renderWaveform() {
+    this.waveform.setOverview(this.audioManager.tapePeaks, this.audioManager.getDuration());
+  }
+
+  // Show the cue points and the A–B loop on the waveform
+  updateWaveformMarkers() {
+    const { loop } = this.audioManager;
+    this.waveform.setMarkers({
+      cues: this.getCues(),
+      loops: loop ? [loop] : [],
+      boundaries: this.audioManager.getTrackBoundaries(),
+    });
+  }
+
+  // Pick one of the speed selector's presets by its 1-based number
+  selectSpeedPreset(number) {
+    const option = this.elements.playbackSpeedSelector.options[number - 1];
+    if (!option) return;
+    this.setPlaybackSpeed(parseFloat(option.value));
+  }
+
+  // Select a Play speed: the fader moves to it, and the preset selector shows it if it is
+  // one of its presets. FF and Rewind keep their own winding speed.
+  setPlaybackSpeed(rate) {
+    const { playbackSpeedSelector, varispeedControl, varispeedDisplay } = this.elements;
+    const preset = [...playbackSpeedSelector.options].find((option) => parseFloat(option.value) === rate);
+    playbackSpeedSelector.value = preset ? preset.value : '';
+
+    const percent = Math.round((rate - 1) * 100);
+    varispeedControl.value = percent;
+    varispeedDisplay.textContent = `${percent > 0 ? '+' : ''}${percent}%`;
+
+    this.audioManager.setPlaybackRate(rate);
+    this.updateMediaSession();
+    this.saveSession();
+  }
+
+  // Apply the preset picked in the speed selector
+  applySelectedSpeed() {
+    this.setPlaybackSpeed(parseFloat(this.elements.playbackSpeedSelector.value) || 1);
+  }
+
+  // Keep the pitch while changing speed, or let it follow the speed
+  setKeyLock(enabled) {
+    this.elements.keyLockToggle.checked = enabled;
+    this.audioManager.setKeyLock(enabled);
+    this.saveSession();
+  }
+
+  // The saved session of the tape in the deck, or null
+  loadSession() {
+    return this.sessions && this.sessions.load(this.audioManager.queue.tapeKey());
+  }
+
+  // Put the deck back the way a session left it: track, head direction, speed and position,
+  // with the reels wound to match. Offers to start from the beginning instead.
+  async resumeSession(session) {
+    if (!session) return;
+    const { audioManager } = this;
+    if (session.index !== audioManager.queue.index && session.index < audioManager.queue.length) {
+      await audioManager.loadTrack(session.index);
+    }
+    // Position first: the direction and speed changes below save the session again
+    const position = session.positions[audioManager.queue.key()] || 0;
+    this.seekTo(position);
+    audioManager.setHeadDirection(session.headDirection);
+    this.handleDirectionChanged();
+    this.setPlaybackSpeed(session.speed);
+    this.setKeyLock(session.keyLock);
+
+    if (position > 0 || audioManager.queue.index > 0) {
+      this.elements.resumeMessage.textContent =
+        `Resumed at ${audioManager.queue.label()} ${this.formatTime(position)}`;
+      this.elements.resumeNotice.hidden = false;
+    }
+  }
+
+  // Go back to the start of the tape, head the right way round, instead of resuming
+  async startFromBeginning() {
+    const { audioManager } = this;
+    this.elements.resumeNotice.hidden = true;
+    try {
+      audioManager.setHeadDirection(1);
+      const first = Math.max(0, audioManager.queue.firstIndexOfSide('A'));
+      if (audioManager.queue.index !== first) {
+        await audioManager.loadTrack(first);
       }
+      this.seekTo(0);
+      this.saveSession();
+    } catch (error) {
+      console.error('Failed to start from the beginning:', error);
+    }
+  }
 
-      // If in Fast Forward or Rewind, playback rate is handled by transport mode
+  // Remember where the tape is, so the next visit can pick up from here
+  saveSession() {
+    const { audioManager } = this;
+    const trackKey = audioManager.queue.key();
+    // Between tracks, the position on the head belongs to the one going out
+    if (!this.sessions || !trackKey || audioManager.loadedTrack !== audioManager.queue.current) return;
+
+    let position = audioManager.getCurrentPosition();
+    if (position >= audioManager.getDuration() - SESSION_END_MARGIN) position = 0;
+    this.sessions.save(audioManager.queue.tapeKey(), {
+      index: audioManager.queue.index,
+      speed: audioManager.playSpeed,
+      keyLock: audioManager.keyLock,
+      headDirection: audioManager.headDirection,
+      positions: { [trackKey]: position },
     });
+    this.lastSavedPosition = position;
+  }
 
-    // Ensure timer interval is stopped on page unload
-    window.addEventListener('beforeunload', () => {
-      this.stopTimerInterval();
+  // Follow the position, saving the session every few seconds of tape
+  handleTimeUpdate(event) {
+    this.updateTimerDisplay();
+    const { position } = event.detail;
+    if (this.lastSavedPosition === null || Math.abs(position - this.lastSavedPosition) >= SESSION_SAVE_DISTANCE) {
+      this.saveSession();
+    }
+  }
+
+  // Save before the page goes into the background, where it may be closed without notice
+  handleVisibilityChange() {
+    if (this.elements.spoolCanvas.ownerDocument.visibilityState === 'hidden') {
+      this.saveSession();
+    }
+  }
+
+  // Move the tape to a position in seconds
+  seekTo(position) {
+    this.audioManager.seek(position);
+    this.animationManager.drawSpools();
+    this.updateTimerDisplay();
+    this.updateMediaSession();
+  }
+
+  // Publish the track and transport state to the OS media controls
+  updateMediaSession() {
+    const { audioManager } = this;
+    // The OS controls follow whichever deck last started playing
+    if (audioManager.isPlaying) {
+      this.mediaSession.attach();
+    }
+    this.mediaSession.updateMetadata(audioManager.getNowPlaying());
+    this.mediaSession.updateState({
+      isPlaying: audioManager.isPlaying,
+      isPaused: audioManager.isPaused,
+      position: audioManager.getCurrentPosition(),
+      duration: audioManager.getDuration(),
+      playbackRate: audioManager.playbackRate * audioManager.direction,
     });
   }
 
-  // Switch playback mode
-  switchPlayback(newDirection, newRate, activeButton) {
-    // Play button press sound
+  // Stop the tape where it is, like a real deck
+  stop() {
+    this.audioManager.playStopButtonPress();
+    this.audioManager.stop();
+    this.disarmRecord();
+  }
+
+  // Hold the tape and freeze the reels; press again to carry on in the same mode
+  togglePause() {
+    return this.pressKey(this.audioManager.isPaused ? 'resume' : 'pause');
+  }
+
+  // Stop and put the tape back to the start of the track
+  returnToZero() {
+    this.audioManager.playStopButtonPress();
+    this.audioManager.returnToZero();
+    this.disarmRecord();
+    this.animationManager.drawSpools();
+    this.updateTimerDisplay();
+    this.updateMediaSession();
+  }
+
+  // Whether the Record key is held down waiting for Play
+  isRecordArmed() {
+    return this.elements.recordButton.classList.contains('armed');
+  }
+
+  // Press or release the Record key
+  async toggleRecordArm() {
+    if (this.audioManager.isRecording) return;
+
     this.audioManager.playButtonPress();
+    if (this.isRecordArmed()) {
+      this.disarmRecord();
+      return;
+    }
 
-    // Switch playback in Audio Manager
-    this.audioManager.switchPlayback(newDirection, newRate);
+    this.elements.recordButton.classList.add('armed');
+    try {
+      await this.audioManager.recorder.arm();
+    } catch (error) {
+      console.error('Microphone unavailable:', error);
+      this.audioManager.reportError(error, 'record');
+      this.disarmRecord();
+    }
+  }
 
-    // Update active button states
-    this.setActiveButton(activeButton);
+  // Release the Record key and close the microphone
+  disarmRecord() {
+    this.elements.recordButton.classList.remove('armed', 'active');
+    this.audioManager.recorder.release();
+  }
 
-    // Start or stop animation based on playback state
-    if (this.audioManager.isPlaying) {
-      this.animationManager.startAnimation(this.audioManager.playbackRate, this.audioManager.direction);
-      this.startTimerInterval();
+  // Record from the microphone onto the tape at the current position
+  startRecording() {
+    return this.pressKey('record');
+  }
+
+  // Apply a tape preset ("off", "custom" or a named preset) and sync the amount sliders
+  applyTapePreset(name) {
+    const { tapeEffects } = this.audioManager;
+    if (name === 'off') {
+      tapeEffects.setEnabled(false);
+      return;
+    }
+
+    if (name !== 'custom') {
+      tapeEffects.applyPreset(name);
+    }
+    tapeEffects.setEnabled(true);
+    this.elements.tapeEffectControls.forEach((input) => {
+      input.value = tapeEffects.amounts[input.dataset.tapeEffect];
+    });
+  }
+
+  // Switch the graphic EQ off, or on with a preset (or the custom bands)
+  applyEqPreset(name) {
+    const { toneControls } = this.audioManager;
+    if (name === 'off') {
+      toneControls.setEqEnabled(false);
     } else {
-      this.animationManager.stopAnimation();
-      this.stopTimerInterval();
+      if (name !== 'custom') {
+        toneControls.applyPreset(name);
+      }
+      toneControls.setEqEnabled(true);
     }
+    this.renderToneControls();
+    this.saveToneSettings();
   }
 
-  // Set active button
-  setActiveButton(activeBtn) {
-    const transportButtons = [
-      this.elements.playButton,
-      this.elements.rewindButton,
-      this.elements.fastForwardButton,
-    ];
-    transportButtons.forEach((btn) => {
-      btn.classList.toggle('active', btn === activeBtn);
+  // Bring the knobs, EQ selector and band sliders in line with the tone stage
+  renderToneControls() {
+    const { bass, treble, eqEnabled, eqPreset, eqGains } = this.audioManager.toneControls.getSettings();
+    this.elements.bassControl.value = bass;
+    this.elements.trebleControl.value = treble;
+    this.elements.eqPresetSelector.value = eqEnabled ? eqPreset : 'off';
+    this.elements.eqBandControls.forEach((input) => {
+      input.value = eqGains[parseInt(input.dataset.eqBand, 10)];
     });
   }
 
-  // Deactivate playback mode
-  deactivatePlaybackMode() {
-    const transportButtons = [
-      this.elements.playButton,
-      this.elements.rewindButton,
-      this.elements.fastForwardButton,
-    ];
-    transportButtons.forEach((btn) => {
-      btn.classList.remove('active');
+  saveToneSettings() {
+    saveToneSettings(this.audioManager.toneControls.getSettings(), this.storage);
+  }
+
+  // Skip to the previous or next track, keeping the current transport mode
+  async changeTrack(step) {
+    this.audioManager.playButtonPress();
+
+    const state = this.audioManager.getState();
+    try {
+      const moved = step > 0
+        ? await this.audioManager.nextTrack()
+        : await this.audioManager.previousTrack();
+      if (moved) {
+        this.resumePlayback(state);
+      }
+    } catch (error) {
+      console.error('Failed to change track:', error);
+    }
+  }
+
+  // Carry on in a transport state after a track change; Pause and Record do not carry over
+  resumePlayback(state) {
+    const command = RESUME_COMMANDS[state];
+    if (command) {
+      this.audioManager.command(command);
+    }
+  }
+
+  // Bring the keys, reels and displays in line with the transport. Every state change
+  // lands here, whether a key, a shortcut, the OS controls or the end of the tape caused it.
+  renderTransport({ state, previousState }) {
+    const { playButton, rewindButton, fastForwardButton, pauseButton, recordButton } = this.elements;
+    const modeButtons = {
+      playing: playButton,
+      recording: playButton,
+      fastforward: fastForwardButton,
+      rewind: rewindButton,
+    };
+
+    // Pause holds down the key of the mode it interrupted
+    const mode = state === 'paused' ? previousState : state;
+    [playButton, rewindButton, fastForwardButton].forEach((btn) => {
+      btn.classList.toggle('active', btn === modeButtons[mode]);
     });
-    this.audioManager.stopFastWindTape();
-    this.animationManager.stopAnimation();
-    this.stopTimerInterval();
+    pauseButton.classList.toggle('active', state === 'paused');
+    recordButton.classList.toggle('active', mode === 'recording');
+
+    // Any other transport key releases Record, and it pops up once a recording pass ends
+    if (mode !== 'recording') {
+      this.disarmRecord();
+    }
+
+    if (this.audioManager.isPlaying) {
+      this.animationManager.startAnimation(this.audioManager.playbackRate, this.audioManager.direction);
+    } else {
+      this.animationManager.stopAnimation();
+      this.animationManager.drawSpools();
+    }
     this.updateTimerDisplay();
+    this.updateMediaSession();
   }
 
   // Format time in MM:SS
@@ -202,56 +1162,123 @@ class UIManager {
     return `${mins}:${secs}`;
   }
 
+  // The A–B loop for the timer display, e.g. " A–B 00:30–00:45"
+  formatLoop() {
+    const { loop } = this.audioManager;
+    if (loop) {
+      return ` A\u2013B ${this.formatTime(loop.start)}\u2013${this.formatTime(loop.end)}`;
+    }
+    return this.loopPointA !== null ? ` A ${this.formatTime(this.loopPointA)}\u2013` : '';
+  }
+
   // Update the timer display
   updateTimerDisplay() {
-    const totalDuration = this.audioManager.audioBuffers.main
-      ? this.audioManager.audioBuffers.main.duration
-      : 0;
-    const currentPos = this.audioManager.isPlaying
-      ? Math.min(
-          Math.max(
-            this.audioManager.currentPosition +
-              (this.audioManager.audioContext.currentTime - this.audioManager.startTime) *
-                this.audioManager.playbackRate *
-                this.audioManager.direction,
-            0
-          ),
-          totalDuration
-        )
-      : this.audioManager.currentPosition;
-    this.elements.timerDisplay.textContent = `${this.formatTime(
+    const totalDuration = this.audioManager.getDuration();
+    const currentPos = this.audioManager.getCurrentPosition();
+    const trackLabel = this.audioManager.queue.label();
+    this.elements.timerDisplay.textContent = `${trackLabel} ${this.formatTime(
       currentPos
-    )} / ${this.formatTime(totalDuration)}`;
+    )} / ${this.formatTime(totalDuration)}${this.formatLoop()}`;
+    this.waveform.setPosition(currentPos);
+  }
+
+  // Show the title, artist and artwork of the track on the tape head
+  updateNowPlaying() {
+    const { title, artist, artwork } = this.audioManager.getNowPlaying();
+    this.elements.nowPlaying.textContent = artist ? `${title} \u2014 ${artist}` : title;
+
+    const { artworkImage } = this.elements;
+    if (artwork) {
+      artworkImage.src = artwork;
+      artworkImage.hidden = false;
+    } else {
+      artworkImage.removeAttribute('src');
+      artworkImage.hidden = true;
+    }
+  }
+
+  // Follow the transport, and move on when the tape runs off the end
+  handleStateChange(event) {
+    this.renderTransport(event.detail);
+    this.saveSession();
+    if (event.detail.previousState === 'recording') {
+      this.updateTimerDisplay();
+    }
+    if (event.detail.reason === 'ended') {
+      this.handlePlaybackEnded(event.detail.previousState);
+    }
   }
 
-  // Start the timer interval
-  startTimerInterval() {
-    if (!this.timerIntervalId) {
-      this.timerIntervalId = setInterval(() => this.updateTimerDisplay(), 250);
+  // Run on into the next track, or reverse at the end of a side
+  async handlePlaybackEnded(previousState) {
+    // A recording stops at the end of the tape
+    if (!RESUMABLE_STATES.includes(previousState)) return;
+
+    const { direction, queue } = this.audioManager;
+
+    // A tape stops at the end of a side; within a side it runs on into the next track
+    const continues = direction === 1 ? queue.hasNextOnSide() : queue.hasPreviousOnSide();
+    if (!continues) {
+      // At the end of a side in Play, an auto-reverse deck flips and carries on
+      if (previousState === 'playing' && this.audioManager.canAutoReverse()) {
+        await this.reverseSide();
+      }
+      return;
+    }
+
+    try {
+      if (direction === 1) {
+        await this.audioManager.nextTrack();
+      } else {
+        // Rewinding runs back into the end of the previous track
+        await this.audioManager.previousTrack();
+        this.audioManager.seek(this.audioManager.getDuration());
+      }
+      this.resumePlayback(previousState);
+    } catch (error) {
+      console.error('Failed to advance track:', error);
     }
   }
 
-  // Stop the timer interval
-  stopTimerInterval() {
-    if (this.timerIntervalId) {
-      clearInterval(this.timerIntervalId);
-      this.timerIntervalId = null;
+  // Flip to the other side and keep playing
+  async reverseSide() {
+    try {
+      await this.audioManager.reverseSide();
+      this.resumePlayback('playing');
+    } catch (error) {
+      console.error('Failed to reverse side:', error);
     }
   }
 
-  // Handle playback ended event
-  handlePlaybackEnded() {
-    this.deactivatePlaybackMode();
+  // Handle direction changed event
+  handleDirectionChanged() {
+    const { headDirection } = this.audioManager;
+    this.saveSession();
+    this.elements.directionIndicator.textContent = headDirection === 1 ? '\u25B6' : '\u25C0';
+    this.animationManager.setTapeDirection(headDirection);
   }
 
-  // Handle playback stopped event
-  handlePlaybackStopped() {
-    this.deactivatePlaybackMode();
+  // Handle loop changed event
+  handleLoopChanged() {
+    this.renderLoop();
   }
-}
 
-// Initialize the UI Manager when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-  const uiManager = new UIManager();
-  uiManager.init();
-});
\ No newline at end of file
+  // What was recorded is on the tape now; show it on the overview
+  handleTapeChanged() {
+    this.renderWaveform();
+    this.updateWaveformMarkers();
+  }
+
+  // Handle track changed event
+  handleTrackChanged() {
+    this.elements.resumeNotice.hidden = true;
+    this.loopPointA = null;
+    this.renderLoop();
+    this.renderCues();
+    this.animationManager.drawSpools();
+    this.renderWaveform();
+    this.updateTimerDisplay();
+    this.updateNowPlaying();
+    this.updateMediaSession();
+  }
+}
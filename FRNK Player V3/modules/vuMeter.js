@@ -0,0 +1,71 @@
+// vuMeter.js
+
+// Meter ballistics, in seconds: the needle rises quickly, falls back slowly, and the peak
+// marker holds its place before dropping
+export const DEFAULT_BALLISTICS = {
+  attack: 0.05, // Time constant while the reading rises
+  release: 0.3, // Time constant while it falls
+  peakHold: 1.5, // How long the peak marker stays put
+  peakFall: 0.5, // Full scales per second the peak marker drops once released
+};
+
+// Bottom of the meter scale in dBFS; the top of the scale is full scale
+export const METER_FLOOR_DB = -48;
+
+// Root-mean-square level of a block of samples
+export function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+// Position on the meter scale (0..1) of a linear level
+export function levelToReading(level) {
+  if (!(level > 0)) return 0;
+  const db = 20 * Math.log10(level);
+  return Math.max(0, Math.min(1, 1 - db / METER_FLOOR_DB));
+}
+
+// One channel's meter: a reading that follows the input with attack and release
+// ballistics, and a peak marker that holds the highest recent reading
+export class VUMeter {
+  constructor(ballistics = {}) {
+    this.ballistics = { ...DEFAULT_BALLISTICS, ...ballistics };
+    this.reading = 0;
+    this.peak = 0;
+    this.peakAge = 0; // Seconds since the peak marker was last pushed up
+  }
+
+  // Move the meter towards an input reading (0..1) over dt seconds
+  update(input, dt) {
+    const { attack, release, peakHold, peakFall } = this.ballistics;
+    const timeConstant = input > this.reading ? attack : release;
+    this.reading += (input - this.reading) * (1 - Math.exp(-dt / timeConstant));
+    if (this.reading < 0.001) this.reading = 0;
+
+    if (this.reading >= this.peak) {
+      this.peak = this.reading;
+      this.peakAge = 0;
+    } else {
+      this.peakAge += dt;
+      if (this.peakAge > peakHold) {
+        this.peak = Math.max(this.reading, this.peak - peakFall * dt);
+      }
+    }
+    return this.reading;
+  }
+
+  // Whether the needle and peak marker have come back to zero
+  get isAtRest() {
+    return this.reading === 0 && this.peak === 0;
+  }
+
+  // Drop straight back to zero
+  reset() {
+    this.reading = 0;
+    this.peak = 0;
+    this.peakAge = 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+// waveform.js
+
+// Peaks kept per track; drawing spreads or squeezes them across the strip's width
+const PEAK_COUNT = 1024;
+
+// Loudest sample in each of a number of equal slices of a buffer, across all channels
+export function computePeaks(buffer, count = PEAK_COUNT) {
+  const peaks = new Float32Array(count);
+  if (!buffer || buffer.length === 0) return peaks;
+
+  const sliceLength = buffer.length / count;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < count; i++) {
+      const end = Math.min(data.length, Math.ceil((i + 1) * sliceLength));
+      let peak = peaks[i];
+      for (let s = Math.floor(i * sliceLength); s < end; s++) {
+        const value = Math.abs(data[s]);
+        if (value > peak) peak = value;
+      }
+      peaks[i] = Math.min(1, peak);
+    }
+  }
+  return peaks;
+}
+
+// Overview of the whole track under the deck: the waveform with the played part lit,
+// a playhead, cue points and loop regions. Clicking or dragging the strip seeks.
+export class WaveformStrip {
+  constructor(canvasElement) {
+    this.canvas = canvasElement;
+    this.ctx = this.canvas.getContext('2d');
+    this.peaks = null;
+    this.duration = 0;
+    this.position = 0;
+
+    // cues: [{ position, label }]; loops: [{ start, end }]; positions in seconds
+    this.markers = { cues: [], loops: [], boundaries: [] };
+
+    // Active drag: the pointer seeking along the strip
+    this.dragPointerId = null;
+
+    // Hook for the UI: called with a position in seconds
+    this.onSeek = null;
+
+    // Bind handlers to maintain 'this' context
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+
+  // Start listening for pointer input and size changes
+  attach() {
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.resizeCanvas());
+      this.resizeObserver.observe(this.canvas);
+    }
+    this.resizeCanvas();
+  }
+
+  detach() {
+    this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+    this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+    this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+  }
+
+  // Resize canvas to match its display size
+  resizeCanvas() {
+    this.canvas.width = this.canvas.clientWidth;
+    this.canvas.height = this.canvas.clientHeight;
+    this.draw();
+  }
+
+  // Show a track from its peaks (see computePeaks) and duration in seconds; the strip is
+  // redrawn from these peaks from then on
+  setOverview(peaks, duration) {
+    this.peaks = peaks;
+    this.duration = peaks ? duration : 0;
+    this.position = 0;
+    this.draw();
+  }
+
+  // Move the playhead to a position in seconds
+  setPosition(position) {
+    if (position === this.position) return;
+    this.position = position;
+    this.draw();
+  }
+
+  // Show cue points, loop regions and where songs start (positions in seconds)
+  setMarkers({ cues = [], loops = [], boundaries = [] } = {}) {
+    this.markers = { cues, loops, boundaries };
+    this.draw();
+  }
+
+  // Horizontal pixel of a position in seconds
+  xForPosition(position) {
+    return this.duration > 0 ? (position / this.duration) * this.canvas.width : 0;
+  }
+
+  // Position in seconds under a horizontal pixel
+  positionForX(x) {
+    if (!(this.duration > 0) || !(this.canvas.width > 0)) return 0;
+    return Math.max(0, Math.min(1, x / this.canvas.width)) * this.duration;
+  }
+
+  handlePointerDown(event) {
+    if (this.dragPointerId !== null || !this.peaks) return;
+
+    event.preventDefault();
+    this.canvas.setPointerCapture(event.pointerId);
+    this.dragPointerId = event.pointerId;
+    this.seekToPointer(event);
+  }
+
+  handlePointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+    this.seekToPointer(event);
+  }
+
+  handlePointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+    this.canvas.releasePointerCapture(event.pointerId);
+    this.dragPointerId = null;
+  }
+
+  seekToPointer(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * this.canvas.width;
+    const position = this.positionForX(x);
+    this.setPosition(position);
+    if (this.onSeek) this.onSeek(position);
+  }
+
+  // Draw loop regions, the waveform, cue points and the playhead
+  draw() {
+    const { width, height } = this.canvas;
+    this.ctx.clearRect(0, 0, width, height);
+    if (!this.peaks || !(this.duration > 0)) return;
+
+    this.markers.loops.forEach(({ start, end }) => {
+      this.ctx.fillStyle = 'rgba(16, 177, 27, 0.3)';
+      this.ctx.fillRect(this.xForPosition(start), 0, this.xForPosition(end) - this.xForPosition(start), height);
+    });
+
+    // One bar per pixel column, mirrored about the centre line; the played part is lit
+    const playheadX = this.xForPosition(this.position);
+    const middle = height / 2;
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor((x / width) * this.peaks.length);
+      const to = Math.max(from + 1, Math.floor(((x + 1) / width) * this.peaks.length));
+      let peak = 0;
+      for (let i = from; i < to; i++) {
+        if (this.peaks[i] > peak) peak = this.peaks[i];
+      }
+      const barHeight = Math.max(1, peak * height);
+      this.ctx.fillStyle = x < playheadX ? 'rgba(16, 177, 27, 0.9)' : 'rgba(255, 255, 255, 0.5)';
+      this.ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+    }
+
+    // Song starts as short ticks along the bottom edge
+    this.ctx.fillStyle = 'rgba(90, 170, 255, 0.9)';
+    this.markers.boundaries.forEach((position) => {
+      this.ctx.fillRect(Math.round(this.xForPosition(position)) - 1, height * 0.75, 2, height * 0.25);
+    });
+
+    this.ctx.fillStyle = '#e0a800';
+    this.markers.cues.forEach(({ position }) => {
+      this.ctx.fillRect(Math.round(this.xForPosition(position)) - 1, 0, 2, height);
+    });
+
+    this.ctx.fillStyle = '#fff';
+    this.ctx.fillRect(Math.round(playheadX) - 1, 0, 2, height);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+// animation.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnimationManager } from '../modules/animation.js';
+import { FakeCanvas } from './helpers/recordingContext.js';
+import { FakeClock } from './helpers/fakeClock.js';
+
+function createAnimation({ position = 0, duration = 100 } = {}) {
+  const canvas = new FakeCanvas(800, 600);
+  const clock = new FakeClock();
+  const animation = new AnimationManager(canvas, { clock });
+  const tape = { position, duration };
+  animation.setTapeSource(() => tape);
+  return { animation, canvas, clock, tape };
+}
+
+// Radii of the filled arcs drawn at each spool centre: tape pack first, then hub
+function packRadii(canvas) {
+  return canvas.context.callsTo('arc')
+    .filter(({ args }) => args[0] !== 0)
+    .map(({ args }) => ({ x: args[0], radius: args[2] }));
+}
+
+test('draws both reels with their packs', () => {
+  const { animation, canvas } = createAnimation();
+  canvas.context.clear();
+  animation.drawSpools();
+  const packs = packRadii(canvas);
+  assert.deepEqual(packs.map(({ x }) => x), [264, 536]);
+
+  assert.ok(canvas.context.callsTo('rotate').length >= 2);
+  assert.equal(canvas.context.callsTo('clearRect').length, 1);
+});
+
+test('winds the packs from the supply reel to the take-up reel', () => {
+  const { animation, canvas, tape } = createAnimation();
+  const [full, empty] = packRadii(canvas).slice(-2);
+  assert.ok(full.radius > empty.radius, 'left reel full at the start');
+
+  tape.position = 100;
+  canvas.context.clear();
+  animation.drawSpools();
+  const [left, right] = packRadii(canvas);
+  assert.equal(Math.round(left.radius), 40);
+  assert.equal(Math.round(right.radius), 80);
+});
+
+test('swaps the supply reel when the head plays the other side', () => {
+  const { animation, canvas } = createAnimation({ position: 25 });
+  canvas.context.clear();
+  animation.setTapeDirection(-1);
+  const [left, right] = packRadii(canvas);
+  assert.ok(left.radius < right.radius);
+});
+
+test('turns the reels forwards while playing and backwards on reversal', () => {
+  const { animation, clock } = createAnimation();
+  animation.startAnimation(1, 1);
+  clock.advance(1000);
+  const forward = animation.spools.left.angle;
+  assert.ok(forward > 0);
+
+  animation.startAnimation(1, -1);
+  clock.advance(1000);
+  assert.ok(animation.spools.left.angle < forward);
+});
+
+test('the smaller pack spins faster', () => {
+  const { animation, clock } = createAnimation({ position: 10 });
+  animation.startAnimation(1, 1);
+  clock.advance(1000);
+  assert.ok(animation.spools.right.angle > animation.spools.left.angle);
+});
+
+test('stops at once without a rate source', () => {
+  const { animation, clock } = createAnimation();
+  assert.equal(animation.isAnimating, false);
+  animation.startAnimation(1, 1);
+  clock.advance(500);
+  animation.stopAnimation();
+  const stopped = animation.spools.left.angle;
+  clock.advance(500);
+  assert.equal(animation.spools.left.angle, stopped);
+  assert.equal(animation.animationFrameId, null);
+});
+
+test('coasts to a standstill with a rate source', () => {
+  const { animation, clock } = createAnimation();
+  let rate = 1;
+  animation.setRateSource(() => rate);
+  animation.startAnimation(1, 1);
+  clock.advance(500);
+
+  animation.stopAnimation();
+  rate = 0.5;
+  const stopping = animation.spools.left.angle;
+  clock.advance(500);
+  assert.ok(animation.spools.left.angle > stopping, 'still turning while the motor winds down');
+
+  rate = 0;
+  clock.advance(100);
+  assert.equal(animation.animationFrameId, null);
+});
+
+test('the meters follow the level while running and fall back to rest once stopped', () => {
+  const { animation, canvas, clock } = createAnimation();
+  let rate = 1;
+  animation.setRateSource(() => rate);
+  animation.setLevelSource(() => [0.5, 0.05]);
+  animation.startAnimation(1, 1);
+  clock.advance(1000);
+
+  const { left, right } = animation.meters;
+  assert.ok(left.reading > right.reading && right.reading > 0);
+
+  // LEDs are lit up to each reading
+  canvas.context.clear();
+  animation.drawSpools();
+  const lit = canvas.context.calls.filter(({ name, args }) => name === 'fillStyle' && args[0] !== '#2a2a2a');
+  assert.ok(lit.length > 0);
+
+  animation.stopAnimation();
+  rate = 0;
+  clock.advance(10000);
+  assert.equal(animation.metersAtRest, true);
+  assert.equal(animation.animationFrameId, null);
+});
@@ -0,0 +1,343 @@
+// audio.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDeck, ofType, SAMPLE_RATE, TRACK_URL } from './helpers/deck.js';
+import { encodeSamples, ramp } from './helpers/fakeFetch.js';
+
+test('loads the track and announces it', async () => {
+  const { deck, fetch, events } = await createDeck();
+  await deck.loadAllAudio();
+
+  assert.ok(fetch.requests.includes(TRACK_URL));
+  assert.equal(deck.getDuration(), 2);
+
+  const [trackchange] = ofType(events, 'trackchange');
+  assert.equal(trackchange.label, 'A1');
+  assert.equal(trackchange.duration, 2);
+
+  const progress = ofType(events, 'loadprogress');
+  assert.ok(progress.length >= 2);
+  assert.equal(progress.at(-1).loaded, progress.at(-1).total);
+});
+
+test('keeps the only copy of the tape on the tape head', async () => {
+  const { deck, events } = await createDeck();
+  await deck.loadAllAudio();
+
+  const { main } = deck.audioBuffers;
+  assert.equal(main.getChannelData, undefined);
+  assert.deepEqual(main, { duration: 2, length: 2 * SAMPLE_RATE, sampleRate: SAMPLE_RATE, numberOfChannels: 1 });
+  assert.equal(deck.tapePeaks.length, 1024);
+
+  const tape = await deck.readTape();
+  assert.equal(tape.length, 2 * SAMPLE_RATE);
+  assert.equal(tape.getChannelData(0)[SAMPLE_RATE], ramp(2 * SAMPLE_RATE)[SAMPLE_RATE]);
+  assert.equal(ofType(events, 'tapechange').length, 0);
+});
+
+test('reports a missing track as a load error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { deck, events } = await createDeck({ routes: {} });
+  await assert.rejects(deck.loadAllAudio());
+
+  const errors = ofType(events, 'error');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].operation, 'load');
+});
+
+test('announces each transport state change', async () => {
+  const { deck, events } = await createDeck();
+  await deck.loadAllAudio();
+
+  assert.equal(deck.play(), true);
+  assert.equal(deck.pause(), true);
+  assert.equal(deck.resume(), true);
+  assert.equal(deck.fastForward(), true);
+  assert.equal(deck.stop(), true);
+
+  const changes = ofType(events, 'statechange').map(({ previousState, state }) => `${previousState}>${state}`);
+  assert.deepEqual(changes, [
+    'stopped>playing',
+    'playing>paused',
+    'paused>playing',
+    'playing>fastforward',
+    'fastforward>stopped',
+  ]);
+});
+
+test('refuses Play before a tape is loaded', async () => {
+  const { deck, events } = await createDeck();
+  assert.equal(deck.play(), false);
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(ofType(events, 'statechange').length, 0);
+});
+
+test('refuses to wind while recording', async () => {
+  const stream = { getTracks: () => [] };
+  const { deck } = await createDeck({ getInputStream: async () => stream });
+  await deck.loadAllAudio();
+  await deck.recorder.arm();
+
+  assert.equal(deck.record(), true);
+  assert.equal(deck.fastForward(), false);
+  assert.equal(deck.rewind(), false);
+  assert.equal(deck.getState(), 'recording');
+
+  assert.equal(deck.stop(), true);
+  assert.equal(deck.recorder.isRecording, false);
+});
+
+test('returns to zero and stays there when pressed in Play', async () => {
+  const { deck, clock } = await createDeck();
+  await deck.loadAllAudio();
+  deck.play();
+  clock.advance(1000);
+
+  deck.returnToZero();
+  assert.equal(deck.getState(), 'stopped');
+  clock.advance(1000);
+  assert.equal(deck.getCurrentPosition(), 0);
+});
+
+test('the tape moves while playing and announces its position', async () => {
+  const { deck, clock, events } = await createDeck();
+  await deck.loadAllAudio();
+
+  deck.play();
+  clock.advance(1000);
+
+  const position = deck.getCurrentPosition();
+  assert.ok(position > 0.3 && position < 1, `at ${position}`);
+
+  const updates = ofType(events, 'timeupdate');
+  assert.equal(updates.length, 4);
+  assert.ok(updates.every((update, i) => i === 0 || update.position > updates[i - 1].position));
+  assert.equal(updates.at(-1).duration, 2);
+});
+
+test('stops ticking once the tape has wound down', async () => {
+  const { deck, clock } = await createDeck();
+  await deck.loadAllAudio();
+
+  deck.play();
+  clock.advance(500);
+  deck.stop();
+  clock.advance(10000);
+  assert.equal(deck.tickIntervalId, null);
+
+  const resting = deck.getCurrentPosition();
+  clock.advance(1000);
+  assert.equal(deck.getCurrentPosition(), resting);
+});
+
+test('stops with reason "ended" when the tape runs out', async () => {
+  const { deck, clock, events } = await createDeck({ seconds: 1 });
+  await deck.loadAllAudio();
+
+  deck.fastForward();
+  clock.advance(2000);
+
+  assert.equal(deck.getState(), 'stopped');
+  const last = ofType(events, 'statechange').at(-1);
+  assert.deepEqual(last, { type: 'statechange', state: 'stopped', previousState: 'fastforward', reason: 'ended' });
+  assert.equal(deck.getCurrentPosition(), 1);
+});
+
+test('rewinds at winding speed', async () => {
+  const { deck, clock, events } = await createDeck({ seconds: 60 });
+  await deck.loadAllAudio();
+  deck.seek(30);
+
+  deck.rewind();
+  clock.advance(2000);
+
+  assert.ok(deck.getCurrentPosition() < 20, `at ${deck.getCurrentPosition()}`);
+  assert.deepEqual(ofType(events, 'ratechange').at(-1), { type: 'ratechange', rate: 10, direction: -1 });
+});
+
+test('applies a new Play speed only while playing', async () => {
+  const { deck, events } = await createDeck();
+  await deck.loadAllAudio();
+
+  deck.setPlaybackRate(1.5);
+  assert.equal(ofType(events, 'ratechange').length, 0);
+
+  deck.play();
+  assert.deepEqual(ofType(events, 'ratechange').at(-1), { type: 'ratechange', rate: 1.5, direction: 1 });
+});
+
+test('locks the key in Play only, so winding still squeals', async () => {
+  const { deck } = await createDeck();
+  await deck.loadAllAudio();
+
+  deck.setKeyLock(true);
+  assert.equal(deck.tapeHead.keyLock, false);
+
+  deck.play();
+  assert.equal(deck.tapeHead.keyLock, true);
+
+  deck.fastForward();
+  assert.equal(deck.tapeHead.keyLock, false);
+
+  deck.play();
+  deck.setKeyLock(false);
+  assert.equal(deck.tapeHead.keyLock, false);
+});
+
+test('a music search winds to the next song start and stops there', async () => {
+  // Three songs with two seconds of silence after the first and the second
+  const song = (seconds) => Array.from({ length: seconds * SAMPLE_RATE }, () => 0.5);
+  const silence = (seconds) => new Array(seconds * SAMPLE_RATE).fill(0);
+  const samples = [...song(10), ...silence(2), ...song(18), ...silence(2), ...song(8)];
+  const { deck, clock, events } = await createDeck({ routes: { [TRACK_URL]: encodeSamples(samples) } });
+  await deck.loadAllAudio();
+  assert.deepEqual(ofType(events, 'trackchange')[0].boundaries, [12, 32]);
+
+  // How far past the song start the tape got before the search put it back
+  let overshoot = null;
+  const seek = deck.seek.bind(deck);
+  deck.seek = (position) => {
+    overshoot = deck.getCurrentPosition() - position;
+    seek(position);
+  };
+
+  deck.searchMusic(1);
+  assert.equal(deck.getState(), 'fastforward');
+  clock.advance(5000);
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(deck.getCurrentPosition(), 12);
+  assert.ok(overshoot >= 0 && overshoot < 0.2, `wound ${overshoot} s past it`);
+  assert.equal(ofType(events, 'statechange').at(-1).reason, 'search');
+
+  deck.searchMusic(1);
+  clock.advance(5000);
+  assert.equal(deck.getCurrentPosition(), 32);
+
+  deck.searchMusic(-1);
+  clock.advance(5000);
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(deck.getCurrentPosition(), 12, 'back past the song just started');
+});
+
+test('a music search back to the start of the tape stops there as a search', async () => {
+  const SECOND_URL = 'https://example.com/side-a-2.wav';
+  const { deck, clock, events } = await createDeck({
+    tape: { sideA: [{ url: TRACK_URL }, { url: SECOND_URL }], sideB: [] },
+    routes: {
+      [TRACK_URL]: encodeSamples(new Array(4 * SAMPLE_RATE).fill(0.5)),
+      [SECOND_URL]: encodeSamples(new Array(4 * SAMPLE_RATE).fill(0.5)),
+    },
+  });
+  await deck.loadAllAudio();
+  await deck.nextTrack();
+  deck.seek(3);
+
+  // The first song on the track starts at the beginning of the tape
+  deck.searchMusic(-1);
+  clock.advance(2000);
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(deck.getCurrentPosition(), 0);
+  assert.equal(deck.getTrackInfo().label, 'A2');
+  assert.deepEqual(
+    ofType(events, 'statechange').map(({ state, reason }) => `${state}:${reason}`),
+    ['rewind:null', 'stopped:search'],
+  );
+});
+
+test('another key press calls off a music search', async () => {
+  // A song, two seconds of silence and another song
+  const samples = [5, 2, 20].flatMap((seconds, i) => new Array(seconds * SAMPLE_RATE).fill(i === 1 ? 0 : 0.5));
+  const { deck, clock } = await createDeck({ routes: { [TRACK_URL]: encodeSamples(samples) } });
+  await deck.loadAllAudio();
+
+  deck.searchMusic(1);
+  deck.play();
+  clock.advance(10000);
+  assert.equal(deck.getState(), 'playing');
+  assert.ok(deck.getCurrentPosition() > 8, `at ${deck.getCurrentPosition()}`);
+});
+
+test('leaves a shared context running when disposed', async () => {
+  const { deck, audioContext } = await createDeck();
+  await deck.loadAllAudio();
+  deck.play();
+  deck.dispose();
+
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(audioContext.state, 'running');
+});
+
+test('stops its own sources and lets go of the tape when disposed', async () => {
+  const { deck, audioContext } = await createDeck();
+  await deck.loadAllAudio();
+  const { wowLfo, flutterLfo, hissSource } = deck.tapeEffects;
+  const { node } = deck.tapeHead;
+  deck.dispose();
+  audioContext.render(0.1);
+
+  assert.ok([wowLfo, flutterLfo, hissSource].every((source) => source.started && source.stopped));
+  assert.equal(node.processor.length, 0);
+  assert.deepEqual(node.processor.channels, []);
+  assert.equal(node.finished, true, 'process() returned false');
+});
+
+test('reads the output level for the meters on each channel', async () => {
+  const { deck } = await createDeck();
+  assert.deepEqual(deck.getOutputLevels(), [0, 0]);
+  await deck.loadAllAudio();
+
+  const [left] = deck.meterAnalysers;
+  left.timeDomainData = new Float32Array(2048).fill(0.25);
+  assert.deepEqual(deck.getOutputLevels(), [0.25, 0]);
+});
+
+test('repeats an A–B loop in Play and winds straight through it', async () => {
+  const { deck, clock, events } = await createDeck({ seconds: 60 });
+  await deck.loadAllAudio();
+
+  deck.setLoop(3, 1);
+  assert.deepEqual(ofType(events, 'loopchange').at(-1), { type: 'loopchange', start: 1, end: 3 });
+
+  deck.seek(1);
+  deck.play();
+  clock.advance(5000);
+  const looping = deck.getCurrentPosition();
+  assert.ok(looping >= 1 && looping < 3, `at ${looping}`);
+
+  deck.fastForward();
+  clock.advance(3000);
+  assert.ok(deck.getCurrentPosition() > 3, 'FF runs past B');
+
+  deck.stop();
+  deck.seek(0);
+  deck.play();
+  clock.advance(6000);
+  assert.ok(deck.getCurrentPosition() < 3, 'Play picks the loop up again at B');
+
+  deck.clearLoop();
+  clock.advance(4000);
+  assert.ok(deck.getCurrentPosition() > 3, 'plays on once cleared');
+  assert.deepEqual(ofType(events, 'loopchange').at(-1), { type: 'loopchange', start: null, end: null });
+});
+
+test('refuses a loop shorter than a moment', async () => {
+  const { deck } = await createDeck();
+  await deck.loadAllAudio();
+  assert.throws(() => deck.setLoop(1, 1.01), RangeError);
+  assert.equal(deck.loop, null);
+});
+
+test('the tone controls shape the music but not the button and winding sounds', async () => {
+  const { deck, audioContext } = await createDeck();
+  await deck.loadAllAudio();
+
+  assert.ok(deck.tapeEffects.output.connections.includes(deck.toneControls.input));
+  assert.ok(deck.toneControls.output.connections.includes(audioContext.destination));
+
+  deck.playButtonPress();
+  deck.fastForward();
+  const sounds = audioContext.startedSources.filter((source) => source.buffer !== deck.tapeEffects.hissSource.buffer);
+  assert.equal(sounds.length, 2);
+  assert.ok(sounds.every((source) => source.connections[0] === audioContext.destination));
+});
@@ -0,0 +1,88 @@
+// bounce.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav } from '../modules/bounce.js';
+import { MockAudioBuffer } from './helpers/mockAudioContext.js';
+import { createDeck, ofType, SAMPLE_RATE } from './helpers/deck.js';
+
+// Header fields and 16-bit samples of a WAV file
+async function readWav(blob) {
+  const view = new DataView(await blob.arrayBuffer());
+  const text = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+  const channels = view.getUint16(22, true);
+  const samples = new Int16Array(view.buffer, 44, view.getUint32(40, true) / 2);
+  return {
+    riff: text(0),
+    wave: text(8),
+    channels,
+    sampleRate: view.getUint32(24, true),
+    frames: samples.length / channels,
+    left: (frame) => samples[frame * channels] / 0x7fff,
+  };
+}
+
+test('encodes 16-bit PCM with the channels interleaved', () => {
+  const buffer = new MockAudioBuffer({ numberOfChannels: 2, length: 3, sampleRate: 44100 });
+  buffer.getChannelData(0).set([0, 1, -1]);
+  buffer.getChannelData(1).set([0.5, 2, -0.5]);
+
+  const view = new DataView(encodeWav(buffer));
+  assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 44100);
+  assert.equal(view.getUint32(28, true), 44100 * 4);
+  assert.deepEqual(
+    Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true)),
+    [0, 16383, 32767, 32767, -32768, -16384],
+  );
+});
+
+test('bounces the track at the Play speed, reporting progress', async () => {
+  const { deck } = await createDeck();
+  await deck.loadAllAudio();
+  deck.setPlaybackRate(2);
+  const progress = [];
+
+  const wav = await readWav(await deck.bounce((fraction) => progress.push(fraction)));
+  assert.equal(wav.riff, 'RIFF');
+  assert.equal(wav.wave, 'WAVE');
+  assert.equal(wav.channels, 2);
+  assert.equal(wav.sampleRate, SAMPLE_RATE);
+  assert.equal(wav.frames, SAMPLE_RATE, 'two seconds of tape at double speed');
+
+  // Every other sample of the ramp
+  assert.ok(Math.abs(wav.left(2000) - 0.25) < 1e-3, `read ${wav.left(2000)}`);
+  assert.ok(progress.length > 10);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+  assert.equal(progress.at(-1), 1);
+  assert.equal(deck.getState(), 'stopped', 'the deck itself does not play');
+});
+
+test('bounces only the A–B loop when one is set', async () => {
+  const { deck } = await createDeck();
+  await deck.loadAllAudio();
+  deck.setLoop(0.5, 1);
+
+  const wav = await readWav(await deck.bounce());
+  assert.equal(wav.frames, 0.5 * SAMPLE_RATE);
+  assert.ok(Math.abs(wav.left(0) - 0.25) < 1e-3, `starts at ${wav.left(0)}`);
+});
+
+test('keeps the key lock and slows the tempo', async () => {
+  const { deck, contexts } = await createDeck();
+  await deck.loadAllAudio();
+  deck.setPlaybackRate(0.5);
+  deck.setKeyLock(true);
+
+  const wav = await readWav(await deck.bounce());
+  assert.equal(wav.frames, 4 * SAMPLE_RATE);
+  assert.equal(contexts[0].workletNodes[0].processor.keyLock, true);
+});
+
+test('refuses to bounce without a tape', async () => {
+  const { deck, events } = await createDeck();
+  await assert.rejects(deck.bounce(), /No tape loaded/);
+  assert.deepEqual(ofType(events, 'error').map((error) => error.operation), ['bounce']);
+});
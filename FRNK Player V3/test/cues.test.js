@@ -0,0 +1,107 @@
+// cues.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CueStore } from '../modules/cues.js';
+
+const TRACK = 'fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0';
+
+// Enough of localStorage to see what was written
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+test('keeps cues in tape order per track, across visits', () => {
+  const storage = new MemoryStorage();
+  const cues = new CueStore({ storage });
+  cues.add(TRACK, 90, 'Drop');
+  cues.add(TRACK, 12.5);
+  cues.add('https://example.com/other.mp3', 5);
+
+  const revisited = new CueStore({ storage });
+  assert.deepEqual(revisited.list(TRACK).map(({ name, position }) => [name, position]), [
+    ['Cue 2', 12.5],
+    ['Drop', 90],
+  ]);
+  assert.equal(revisited.list('https://example.com/other.mp3').length, 1);
+  assert.deepEqual(revisited.list(null), []);
+});
+
+test('renames and deletes cues', () => {
+  const storage = new MemoryStorage();
+  const cues = new CueStore({ storage });
+  const intro = cues.add(TRACK, 0, 'Intro');
+  const outro = cues.add(TRACK, 200, 'Outro');
+
+  cues.rename(TRACK, intro.id, 'Cold open');
+  cues.remove(TRACK, outro.id);
+  assert.deepEqual(new CueStore({ storage }).list(TRACK), [{ id: intro.id, name: 'Cold open', position: 0 }]);
+
+  cues.remove(TRACK, intro.id);
+  assert.equal(storage.items.size, 0);
+});
+
+test('finds the next and previous cue', () => {
+  const cues = new CueStore({ storage: new MemoryStorage() });
+  [10, 20, 30].forEach((position) => cues.add(TRACK, position));
+
+  assert.equal(cues.next(TRACK, 0).position, 10);
+  assert.equal(cues.next(TRACK, 10).position, 20);
+  assert.equal(cues.next(TRACK, 30), null);
+
+  assert.equal(cues.previous(TRACK, 25).position, 20);
+  assert.equal(cues.previous(TRACK, 20.5).position, 10, 'just past a cue goes to the one before');
+  assert.equal(cues.previous(TRACK, 10), null);
+});
+
+test('shares cue sheets as JSON', () => {
+  const cues = new CueStore({ storage: new MemoryStorage() });
+  cues.add(TRACK, 42, 'Breakdown');
+  const sheet = cues.exportJSON(TRACK);
+  assert.deepEqual(JSON.parse(sheet), { version: 1, track: TRACK, cues: [{ name: 'Breakdown', position: 42 }] });
+
+  const friend = new CueStore({ storage: new MemoryStorage() });
+  friend.add(TRACK, 1, 'Mine');
+  assert.equal(friend.importJSON(TRACK, sheet), 1);
+  assert.deepEqual(friend.list(TRACK).map(({ name }) => name), ['Mine', 'Breakdown']);
+  assert.equal(new Set(friend.list(TRACK).map(({ id }) => id)).size, 2);
+});
+
+test('rejects what is not a cue sheet and skips malformed cues', () => {
+  const cues = new CueStore({ storage: new MemoryStorage() });
+  assert.throws(() => cues.importJSON(TRACK, '{"title":"nope"}'), /Not a cue sheet/);
+  assert.throws(() => cues.importJSON(TRACK, 'not json'), SyntaxError);
+
+  const added = cues.importJSON(TRACK, JSON.stringify({ cues: [{ position: 'soon' }, { position: -1 }, { position: 3 }] }));
+  assert.equal(added, 1);
+  assert.deepEqual(cues.list(TRACK).map(({ position }) => position), [3]);
+});
+
+test('works without storage, and when storage fails', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const unstorable = new MemoryStorage();
+  unstorable.setItem = () => {
+    throw new Error('QuotaExceededError');
+  };
+  unstorable.items.set(`frnk-player:cues:${TRACK}`, '{broken');
+
+  [new CueStore({ storage: null }), new CueStore({ storage: unstorable })].forEach((cues) => {
+    assert.deepEqual(cues.list(TRACK), []);
+    cues.add(TRACK, 7);
+    assert.equal(cues.list(TRACK).length, 1);
+  });
+});
@@ -0,0 +1,61 @@
+// doublePress.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DoublePress, DOUBLE_PRESS_INTERVAL } from '../modules/doublePress.js';
+import { FakeClock } from './helpers/fakeClock.js';
+
+// A detector on a fake clock, logging which action each press ran
+function createPresses({ taken = () => true } = {}) {
+  const clock = new FakeClock();
+  const presses = new DoublePress({ clock });
+  const log = [];
+  const press = (key) => presses.press(
+    key,
+    () => {
+      log.push(`${key} single`);
+      return taken();
+    },
+    () => {
+      log.push(`${key} double`);
+      return true;
+    },
+  );
+  return { clock, press, log };
+}
+
+test('a second press within the interval is a double press', () => {
+  const { clock, press, log } = createPresses();
+  press('fastForward');
+  clock.advance(DOUBLE_PRESS_INTERVAL - 50);
+  press('fastForward');
+  assert.deepEqual(log, ['fastForward single', 'fastForward double']);
+});
+
+test('a second press after the interval is another single press', () => {
+  const { clock, press, log } = createPresses();
+  press('rewind');
+  clock.advance(DOUBLE_PRESS_INTERVAL);
+  press('rewind');
+  assert.deepEqual(log, ['rewind single', 'rewind single']);
+});
+
+test('only two presses of the same key make a double press', () => {
+  const { press, log } = createPresses();
+  press('rewind');
+  press('fastForward');
+  press('fastForward');
+  press('fastForward');
+  assert.deepEqual(log, ['rewind single', 'fastForward single', 'fastForward double', 'fastForward single']);
+});
+
+test('a press the deck refused does not count towards a double press', () => {
+  let taken = false;
+  const { clock, press, log } = createPresses({ taken: () => taken });
+  assert.equal(press('fastForward'), false);
+
+  taken = true;
+  clock.advance(100);
+  assert.equal(press('fastForward'), true);
+  assert.deepEqual(log, ['fastForward single', 'fastForward single']);
+});
@@ -0,0 +1,53 @@
+// frnkPlayer.test.js
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDeck } from './helpers/deck.js';
+
+let FrnkPlayerElement;
+
+// Just enough of the custom elements API to construct the element outside a browser
+before(async () => {
+  globalThis.HTMLElement = class HTMLElement {
+    attachShadow() {
+      this.shadowRoot = {};
+      return this.shadowRoot;
+    }
+  };
+  globalThis.customElements = { get: () => undefined, define: () => {} };
+  ({ FrnkPlayerElement } = await import('../modules/frnkPlayer.js'));
+});
+
+// An element driving a loaded deck through a stand-in for its UI's transport keys
+async function createPlayer() {
+  const { deck } = await createDeck();
+  await deck.loadAllAudio();
+  const player = new FrnkPlayerElement();
+  player.ui = {
+    audioManager: deck,
+    play: () => deck.play(),
+    togglePause: () => deck.command(deck.isPaused ? 'resume' : 'pause'),
+  };
+  return { player, deck };
+}
+
+test('pauses and carries on playing', async () => {
+  const { player } = await createPlayer();
+  assert.equal(await player.play(), 'playing');
+  assert.equal(await player.pause(), 'paused');
+  assert.equal(await player.play(), 'playing');
+});
+
+test('refuses to pause a stopped deck', async () => {
+  const { player, deck } = await createPlayer();
+  await assert.rejects(player.pause(), { name: 'TransportError', command: 'pause', state: 'stopped' });
+  assert.equal(deck.getState(), 'stopped');
+});
+
+test('refuses to pause a paused deck rather than carry on', async () => {
+  const { player, deck } = await createPlayer();
+  await player.play();
+  await player.pause();
+  await assert.rejects(player.pause(), { name: 'TransportError', state: 'paused' });
+  assert.equal(deck.getState(), 'paused');
+});
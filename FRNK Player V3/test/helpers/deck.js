@@ -0,0 +1,46 @@
+// deck.js
+
+import { AudioManager, PLAYER_EVENTS } from '../../modules/audio.js';
+import { MockAudioContext, MockOfflineAudioContext } from './mockAudioContext.js';
+import { FakeClock } from './fakeClock.js';
+import { createFakeFetch, encodeSamples, ramp, silentAssets } from './fakeFetch.js';
+
+export const SAMPLE_RATE = 8000;
+export const TRACK_URL = 'https://example.com/side-a.wav';
+
+// A deck running on a fake clock and audio context, by default with a ramp of a number of
+// seconds on Side A at TRACK_URL. Pass a tape (see queue.js) or fetch routes to play
+// something else. Collects the events it emits and the offline contexts it bounces through.
+export async function createDeck({
+  seconds = 2,
+  sampleRate = SAMPLE_RATE,
+  tape = { sideA: [{ url: TRACK_URL }], sideB: [] },
+  routes,
+  getInputStream,
+} = {}) {
+  const clock = new FakeClock();
+  const audioContext = new MockAudioContext({ sampleRate, clock });
+  const fetch = createFakeFetch(
+    routes || { [TRACK_URL]: encodeSamples(ramp(seconds * sampleRate)) },
+    { fallback: silentAssets },
+  );
+  const contexts = [];
+  const deck = new AudioManager(tape, {
+    audioContext,
+    fetch,
+    clock,
+    getInputStream,
+    createOfflineContext: (...args) => {
+      contexts.push(new MockOfflineAudioContext(...args));
+      return contexts.at(-1);
+    },
+  });
+  const events = [];
+  PLAYER_EVENTS.forEach((type) => {
+    deck.addEventListener(type, (event) => events.push({ type, ...event.detail }));
+  });
+  return { deck, clock, audioContext, fetch, events, contexts };
+}
+
+// The collected events of one type
+export const ofType = (events, type) => events.filter((event) => event.type === type);
@@ -0,0 +1,98 @@
+// fakeClock.js
+
+// Stands in for the browser's timers and animation frames (see modules/clock.js).
+// Time only moves on advance(); listeners such as MockAudioContext follow it.
+export class FakeClock {
+  constructor({ frameInterval = 1000 / 60 } = {}) {
+    this.time = 0; // milliseconds
+    this.frameInterval = frameInterval;
+    this.nextId = 1;
+    this.timers = new Map();
+    this.frames = new Map();
+    this.listeners = [];
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, ms) {
+    const id = this.setInterval(() => {
+      this.timers.delete(id);
+      callback();
+    }, ms);
+    return id;
+  }
+
+  setInterval(callback, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, callback, interval: ms, due: this.time + ms });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  requestAnimationFrame(callback) {
+    const id = this.nextId++;
+    this.frames.set(id, callback);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this.frames.delete(id);
+  }
+
+  // Called with the new time whenever the clock moves
+  onAdvance(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Move time forward, firing intervals and animation frames as they fall due
+  advance(ms) {
+    const end = this.time + ms;
+    for (;;) {
+      const timer = this.nextTimer();
+      const timerTime = timer ? timer.due : Infinity;
+      const frameTime = this.frames.size > 0 ? this.nextFrameTime() : Infinity;
+      const time = Math.min(timerTime, frameTime);
+      if (time > end) break;
+
+      this.moveTo(time);
+      if (timerTime <= frameTime) {
+        // Moving the clock renders audio, whose handlers may have cleared this timer
+        if (!this.timers.has(timer.id)) continue;
+        timer.due += timer.interval;
+        timer.callback();
+      } else {
+        this.fireFrame();
+      }
+    }
+    this.moveTo(end);
+  }
+
+  nextTimer() {
+    let next = null;
+    this.timers.forEach((timer) => {
+      if (!next || timer.due < next.due) next = timer;
+    });
+    return next;
+  }
+
+  // Frames fall on a fixed grid, like a display's refresh
+  nextFrameTime() {
+    return (Math.floor(this.time / this.frameInterval + 1e-9) + 1) * this.frameInterval;
+  }
+
+  fireFrame() {
+    const callbacks = [...this.frames.values()];
+    this.frames.clear();
+    callbacks.forEach((callback) => callback(this.time));
+  }
+
+  moveTo(time) {
+    this.time = time;
+    this.listeners.forEach((listener) => listener(time));
+  }
+}
@@ -0,0 +1,34 @@
+// fakeFetch.js
+
+// Encode samples the way MockAudioContext.decodeAudioData reads them
+export function encodeSamples(samples) {
+  return Float32Array.from(samples).buffer;
+}
+
+// A rising ramp from 0 towards 1, so every sample says where on the tape it came from
+export function ramp(length) {
+  return Array.from({ length }, (_, i) => i / length);
+}
+
+// Answers fetches from a table of URL → ArrayBuffer (or Response); anything else is a 404.
+// fallback(url) may supply a body for URLs missing from the table. Requested URLs are
+// kept in fetch.requests.
+export function createFakeFetch(routes = {}, { fallback = null } = {}) {
+  const fakeFetch = async (url) => {
+    const key = String(url);
+    fakeFetch.requests.push(key);
+
+    const body = key in routes ? routes[key] : fallback && fallback(key);
+    if (body instanceof Response) return body;
+    if (!body) return new Response(null, { status: 404 });
+    return new Response(body, {
+      status: 200,
+      headers: { 'content-length': String(body.byteLength) },
+    });
+  };
+  fakeFetch.requests = [];
+  return fakeFetch;
+}
+
+// Button and winding sounds: a few silent samples for any .mp3 asset
+export const silentAssets = (url) => (url.endsWith('.mp3') ? encodeSamples(new Float32Array(16)) : null);
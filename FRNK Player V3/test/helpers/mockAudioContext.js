@@ -0,0 +1,461 @@
+// mockAudioContext.js
+
+// A headless stand-in for the Web Audio API. Nodes record how they are wired and
+// AudioParams evaluate their automation. AudioWorklet modules are really imported and
+// their processors run as the context renders, so the tape head's own code moves the tape.
+// Script processors are fed from a MockMediaStream, so the recorder's own code writes it.
+
+// Frames per render quantum, as in the browser
+export const QUANTUM = 128;
+
+// registerProcessor() table, shared like the real AudioWorkletGlobalScope
+const processors = new Map();
+
+// Port handed to the processor under construction
+let pendingPort = null;
+
+// Value of an automation segment at a time
+function evaluate(segment, time) {
+  if (segment.type === 'set') return segment.value;
+  if (segment.timeConstant <= 0) return segment.target;
+  const decay = Math.exp(-(time - segment.time) / segment.timeConstant);
+  return segment.target + (segment.from - segment.target) * decay;
+}
+
+export class MockAudioParam {
+  constructor(defaultValue = 0) {
+    this.value = defaultValue;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    return this.insert({ type: 'set', value, time });
+  }
+
+  setTargetAtTime(target, time, timeConstant) {
+    return this.insert({ type: 'target', target, time, timeConstant });
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter((event) => event.time < time);
+    return this;
+  }
+
+  insert(event) {
+    this.events.push(event);
+    this.events.sort((a, b) => a.time - b.time);
+    return this;
+  }
+
+  // Value at a time, following the scheduled events from the default value
+  valueAt(time) {
+    let segment = { type: 'set', value: this.value };
+    for (const event of this.events) {
+      if (event.time > time) break;
+      const from = evaluate(segment, event.time);
+      segment = event.type === 'set' ? event : { ...event, from };
+    }
+    return evaluate(segment, time);
+  }
+}
+
+export class MockAudioNode {
+  constructor(context, properties = {}) {
+    this.context = context;
+    this.connections = [];
+    Object.assign(this, properties);
+  }
+
+  connect(destination) {
+    this.connections.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+}
+
+export class MockAudioBufferSourceNode extends MockAudioNode {
+  constructor(context) {
+    super(context, { buffer: null, loop: false, playbackRate: new MockAudioParam(1) });
+    this.started = false;
+    this.stopped = false;
+  }
+
+  start() {
+    this.started = true;
+    this.context.startedSources.push(this);
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+// Runs onaudioprocess each time a block of input has arrived, reading it from the
+// MockMediaStream connected to it
+export class MockScriptProcessorNode extends MockAudioNode {
+  constructor(context, bufferSize, numberOfInputChannels, numberOfOutputChannels) {
+    super(context, { bufferSize, numberOfInputChannels, numberOfOutputChannels, onaudioprocess: null });
+  }
+
+  // The stream whose source node is connected to this one, if any
+  get inputStream() {
+    const source = this.context.mediaStreamSources.find((node) => node.connections.includes(this));
+    return source ? source.mediaStream : null;
+  }
+
+  // Called at the end of each block of the context's frames
+  process() {
+    const stream = this.inputStream;
+    if (!this.onaudioprocess || !stream) return;
+
+    const { bufferSize, context } = this;
+    const inputBuffer = context.createBuffer(this.numberOfInputChannels, bufferSize, context.sampleRate);
+    const samples = stream.read(bufferSize);
+    inputBuffer.channels.forEach((data) => data.set(samples));
+    const outputBuffer = context.createBuffer(this.numberOfOutputChannels, bufferSize, context.sampleRate);
+    this.onaudioprocess({ inputBuffer, outputBuffer, playbackTime: context.currentTime });
+  }
+}
+
+// A synthetic microphone: mono samples from a function of the sample index, silence
+// once stopped
+export class MockMediaStream {
+  constructor(sample = () => 0) {
+    this.sample = sample;
+    this.samplesRead = 0;
+    this.tracks = [{ kind: 'audio', readyState: 'live', stop() { this.readyState = 'ended'; } }];
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  // The next samples off the stream
+  read(length) {
+    const live = this.tracks.some((track) => track.readyState === 'live');
+    const samples = Float32Array.from({ length }, (_, i) => (live ? this.sample(this.samplesRead + i) : 0));
+    this.samplesRead += length;
+    return samples;
+  }
+}
+
+export class MockAudioBuffer {
+  constructor({ numberOfChannels = 1, length, sampleRate }) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  get duration() {
+    return this.length / this.sampleRate;
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+// One end of a MessageChannel; messages arrive synchronously at the other end
+class MockMessagePort {
+  constructor() {
+    this.other = null;
+    this.onmessage = null;
+  }
+
+  postMessage(data) {
+    if (this.other.onmessage) this.other.onmessage({ data });
+  }
+}
+
+function createMessageChannel() {
+  const a = new MockMessagePort();
+  const b = new MockMessagePort();
+  a.other = b;
+  b.other = a;
+  return [a, b];
+}
+
+export class MockAudioWorkletNode extends MockAudioNode {
+  constructor(context, name, options = {}) {
+    super(context);
+    const Processor = processors.get(name);
+    if (!Processor) throw new Error(`No processor registered as ${name}`);
+
+    const [port, processorPort] = createMessageChannel();
+    this.port = port;
+
+    // Messages reach the processor in its context's global scope, as they would on the audio thread
+    const postMessage = port.postMessage.bind(port);
+    port.postMessage = (data) => {
+      context.enterGlobalScope();
+      postMessage(data);
+    };
+    this.parameters = new Map(
+      (Processor.parameterDescriptors || []).map((descriptor) => [
+        descriptor.name,
+        new MockAudioParam(descriptor.defaultValue || 0),
+      ])
+    );
+    this.outputChannelCount = options.outputChannelCount ? options.outputChannelCount[0] : 2;
+
+    pendingPort = processorPort;
+    context.enterGlobalScope();
+    this.processor = new Processor(options);
+    pendingPort = null;
+
+    // Rendered output, one Float32Array per channel per quantum, once capture is set
+    this.capture = false;
+    this.captured = [];
+    this.finished = false;
+    context.workletNodes.push(this);
+  }
+
+  // Everything captured so far on one channel, as one array
+  capturedChannel(channel = 0) {
+    const quanta = this.captured.map((outputs) => outputs[channel]);
+    const result = new Float32Array(quanta.length * QUANTUM);
+    quanta.forEach((data, i) => result.set(data, i * QUANTUM));
+    return result;
+  }
+
+  renderQuantum(startTime, sampleRate) {
+    const parameters = {};
+    this.parameters.forEach((param, name) => {
+      const values = new Float32Array(QUANTUM);
+      for (let i = 0; i < QUANTUM; i++) {
+        values[i] = param.valueAt(startTime + i / sampleRate);
+      }
+      parameters[name] = values;
+    });
+
+    // A processor whose process() returned false is finished and renders silence
+    const output = Array.from({ length: this.outputChannelCount }, () => new Float32Array(QUANTUM));
+    if (!this.finished) this.finished = !this.processor.process([], [output], parameters);
+    if (this.capture) this.captured.push(output);
+    return output;
+  }
+}
+
+// The globals an AudioWorklet module and the main thread expect
+function installAudioGlobals() {
+  if (globalThis.AudioWorkletNode === MockAudioWorkletNode) return;
+  globalThis.AudioWorkletProcessor = class AudioWorkletProcessor {
+    constructor() {
+      this.port = pendingPort;
+    }
+  };
+  globalThis.registerProcessor = (name, Processor) => processors.set(name, Processor);
+  globalThis.AudioWorkletNode = MockAudioWorkletNode;
+}
+
+// Time is the number of frames rendered. Pass a FakeClock to render along with it,
+// or call render() directly.
+export class MockAudioContext {
+  constructor({ sampleRate = 8000, clock = null } = {}) {
+    installAudioGlobals();
+    this.sampleRate = sampleRate;
+    this.framesRendered = 0;
+    this.state = 'running';
+    this.destination = new MockAudioNode(this);
+    this.workletNodes = [];
+    this.startedSources = [];
+    this.mediaStreamSources = [];
+    this.scriptProcessors = [];
+    this.audioWorklet = {
+      addModule: async (url) => {
+        await import(String(url));
+      },
+    };
+
+    if (clock) {
+      clock.onAdvance((ms) => this.renderUntil(ms / 1000));
+    }
+  }
+
+  get currentTime() {
+    return this.framesRendered / this.sampleRate;
+  }
+
+  // Render for a number of seconds
+  render(seconds) {
+    this.renderUntil(this.currentTime + seconds);
+  }
+
+  // Render whole quanta up to a context time; a suspended context does not move
+  renderUntil(time) {
+    if (this.state !== 'running') return;
+    while ((this.framesRendered + QUANTUM) / this.sampleRate <= time + 1e-9) {
+      this.enterGlobalScope();
+      this.workletNodes.forEach((node) => node.renderQuantum(this.currentTime, this.sampleRate));
+      this.framesRendered += QUANTUM;
+      this.scriptProcessors.forEach((node) => {
+        if (this.framesRendered % node.bufferSize === 0) node.process();
+      });
+    }
+  }
+
+  // The sampleRate and currentTime globals processors read, for this context
+  enterGlobalScope() {
+    globalThis.sampleRate = this.sampleRate;
+    globalThis.currentTime = this.currentTime;
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async suspend() {
+    this.state = 'suspended';
+  }
+
+  async close() {
+    this.state = 'closed';
+  }
+
+  // Reads what encodeSamples() (fakeFetch.js) wrote: mono float samples at our rate
+  async decodeAudioData(arrayBuffer) {
+    const samples = new Float32Array(arrayBuffer.slice(0));
+    const buffer = this.createBuffer(1, samples.length, this.sampleRate);
+    buffer.getChannelData(0).set(samples);
+    return buffer;
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new MockAudioBuffer({ numberOfChannels, length, sampleRate });
+  }
+
+  createBufferSource() {
+    return new MockAudioBufferSourceNode(this);
+  }
+
+  createGain() {
+    return new MockAudioNode(this, { gain: new MockAudioParam(1) });
+  }
+
+  createDelay() {
+    return new MockAudioNode(this, { delayTime: new MockAudioParam(0) });
+  }
+
+  createOscillator() {
+    return new MockAudioNode(this, {
+      type: 'sine',
+      frequency: new MockAudioParam(440),
+      started: false,
+      stopped: false,
+      start() {
+        this.started = true;
+      },
+      stop() {
+        this.stopped = true;
+      },
+    });
+  }
+
+  createWaveShaper() {
+    return new MockAudioNode(this, { curve: null, oversample: 'none' });
+  }
+
+  createBiquadFilter() {
+    return new MockAudioNode(this, {
+      type: 'lowpass',
+      frequency: new MockAudioParam(350),
+      Q: new MockAudioParam(1),
+      gain: new MockAudioParam(0),
+    });
+  }
+
+  createChannelSplitter(numberOfOutputs = 6) {
+    return new MockAudioNode(this, { numberOfOutputs, channelInterpretation: 'discrete' });
+  }
+
+  // Reads back timeDomainData, silence unless a test sets it
+  createAnalyser() {
+    return new MockAudioNode(this, {
+      fftSize: 2048,
+      timeDomainData: null,
+      getFloatTimeDomainData(array) {
+        array.fill(0);
+        if (this.timeDomainData) array.set(this.timeDomainData.subarray(0, array.length));
+      },
+    });
+  }
+
+  createMediaStreamSource(mediaStream) {
+    const node = new MockAudioNode(this, { mediaStream });
+    this.mediaStreamSources.push(node);
+    return node;
+  }
+
+  // Blocks fall on the context's frames, as they would on the audio hardware's
+  createScriptProcessor(bufferSize, numberOfInputChannels, numberOfOutputChannels) {
+    const node = new MockScriptProcessorNode(this, bufferSize, numberOfInputChannels, numberOfOutputChannels);
+    this.scriptProcessors.push(node);
+    return node;
+  }
+}
+
+// An OfflineAudioContext that renders as fast as it can. Mock nodes carry no audio, so what
+// reaches the destination is what the first AudioWorklet node writes.
+export class MockOfflineAudioContext extends MockAudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    super({ sampleRate });
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.state = 'suspended';
+    this.suspensions = []; // { frame, resolve } for each suspend() not yet reached
+    this.continueRendering = null;
+  }
+
+  // Stop rendering at the render quantum containing a time
+  suspend(time) {
+    const frame = Math.floor((time * this.sampleRate) / QUANTUM) * QUANTUM;
+    if (frame >= this.length || this.suspensions.some((suspension) => suspension.frame === frame)) {
+      return Promise.reject(new Error(`Cannot suspend at ${time}`));
+    }
+    return new Promise((resolve) => {
+      this.suspensions.push({ frame, resolve });
+    });
+  }
+
+  async resume() {
+    this.state = 'running';
+    if (this.continueRendering) {
+      const carryOn = this.continueRendering;
+      this.continueRendering = null;
+      carryOn();
+    }
+  }
+
+  async startRendering() {
+    const rendered = this.createBuffer(this.numberOfChannels, this.length, this.sampleRate);
+    this.state = 'running';
+    while (this.framesRendered < this.length) {
+      const suspension = this.suspensions.find(({ frame }) => frame === this.framesRendered);
+      if (suspension) {
+        this.state = 'suspended';
+        const resumed = new Promise((resolve) => {
+          this.continueRendering = resolve;
+        });
+        suspension.resolve();
+        await resumed;
+      }
+
+      this.enterGlobalScope();
+      const outputs = this.workletNodes.map((node) => node.renderQuantum(this.currentTime, this.sampleRate));
+      const count = Math.min(QUANTUM, this.length - this.framesRendered);
+      if (outputs.length > 0) {
+        for (let c = 0; c < this.numberOfChannels; c++) {
+          const output = outputs[0][Math.min(c, outputs[0].length - 1)];
+          rendered.getChannelData(c).set(output.subarray(0, count), this.framesRendered);
+        }
+      }
+      this.framesRendered += QUANTUM;
+    }
+    this.state = 'closed';
+    return rendered;
+  }
+}
@@ -0,0 +1,81 @@
+// recordingContext.js
+
+// Drawing calls a 2D context can receive; each is recorded with its arguments
+const METHODS = [
+  'save', 'restore', 'translate', 'rotate', 'scale', 'setTransform',
+  'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'rect',
+  'fill', 'stroke', 'clearRect', 'fillRect', 'strokeRect', 'fillText', 'setLineDash', 'drawImage',
+];
+
+// Style properties; setting one is recorded like a call
+const PROPERTIES = [
+  'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'globalAlpha', 'font', 'textAlign', 'textBaseline',
+];
+
+// A CanvasRenderingContext2D that draws nothing and remembers everything it was asked to do
+export class RecordingContext2D {
+  constructor() {
+    this.calls = [];
+    this.properties = {};
+  }
+
+  // Recorded calls to one method or property
+  callsTo(name) {
+    return this.calls.filter((call) => call.name === name);
+  }
+
+  clear() {
+    this.calls = [];
+  }
+
+  createLinearGradient(...args) {
+    this.calls.push({ name: 'createLinearGradient', args });
+    const stops = [];
+    return { stops, addColorStop: (offset, color) => stops.push([offset, color]) };
+  }
+}
+
+METHODS.forEach((name) => {
+  RecordingContext2D.prototype[name] = function record(...args) {
+    this.calls.push({ name, args });
+  };
+});
+
+PROPERTIES.forEach((name) => {
+  Object.defineProperty(RecordingContext2D.prototype, name, {
+    get() {
+      return this.properties[name];
+    },
+    set(value) {
+      this.properties[name] = value;
+      this.calls.push({ name, args: [value] });
+    },
+  });
+});
+
+// Enough of an HTMLCanvasElement for AnimationManager and WaveformStrip
+export class FakeCanvas {
+  constructor(width = 800, height = 600) {
+    this.width = width;
+    this.height = height;
+    this.clientWidth = width;
+    this.clientHeight = height;
+    this.context = new RecordingContext2D();
+  }
+
+  getContext(type) {
+    return type === '2d' ? this.context : null;
+  }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: this.clientWidth, height: this.clientHeight };
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  setPointerCapture() {}
+
+  releasePointerCapture() {}
+}
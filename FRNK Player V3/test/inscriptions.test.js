@@ -0,0 +1,116 @@
+// inscriptions.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InscriptionResolver, decodeCbor, hexToBytes } from '../modules/inscriptions.js';
+import { createFakeFetch } from './helpers/fakeFetch.js';
+
+const SERVER = 'https://ord.example';
+const ID = `${'ab'.repeat(32)}i0`;
+const ARTWORK_ID = `${'cd'.repeat(32)}i1`;
+
+const cbor = (hex) => decodeCbor(hexToBytes(hex.replace(/\s/g, '')));
+
+// CBOR hex for a short text string
+function cborText(value) {
+  const bytes = [...new TextEncoder().encode(value)];
+  const head = bytes.length < 24 ? [0x60 + bytes.length] : [0x78, bytes.length];
+  return [...head, ...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// A JSON response body, as the recursive endpoints send
+const json = (value) => new TextEncoder().encode(JSON.stringify(value)).buffer;
+
+// A resolver against a fake ord server answering from a table of routes
+function createResolver(routes = {}) {
+  const fetch = createFakeFetch(routes);
+  return { resolver: new InscriptionResolver({ contentServer: `${SERVER}/`, fetch }), fetch, routes };
+}
+
+test('decodes maps of text keys to numbers, strings and arrays', () => {
+  // { "title": "Song", "n": [1, -2, 256] }
+  assert.deepEqual(cbor('a2 65 7469746c65 64 536f6e67 61 6e 83 01 21 190100'), {
+    title: 'Song',
+    n: [1, -2, 256],
+  });
+  assert.deepEqual(cbor('a0'), {});
+  assert.equal(cbor(''), null);
+});
+
+test('decodes indefinite-length strings, arrays and maps', () => {
+  assert.equal(cbor('7f 62 6869 61 21 ff'), 'hi!');
+  assert.deepEqual(cbor('5f 42 0102 41 03 ff'), new Uint8Array([1, 2, 3]));
+  assert.deepEqual(cbor('9f 01 02 ff'), [1, 2]);
+  assert.deepEqual(cbor('bf 61 61 f5 61 62 f6 ff'), { a: true, b: null });
+});
+
+test('decodes half, single and double precision floats', () => {
+  assert.equal(cbor('f9 3c00'), 1);
+  assert.equal(cbor('f9 c400'), -4);
+  assert.equal(cbor('f9 0001'), Math.pow(2, -24));
+  assert.equal(cbor('f9 7c00'), Infinity);
+  assert.ok(Number.isNaN(cbor('f9 7e00')));
+  assert.equal(cbor('fa 3fc00000'), 1.5);
+  assert.equal(cbor('fb 3ff199999999999a'), 1.1);
+});
+
+test('skips tags and returns the tagged item', () => {
+  assert.equal(cbor('c1 1a 514b67b0'), 1363896240);
+});
+
+test('rejects an indefinite length where CBOR allows none', () => {
+  assert.throws(() => cbor('1f'), /Malformed CBOR/);
+  assert.throws(() => cbor('3f'), /Malformed CBOR/);
+  assert.throws(() => cbor('df 01'), /Malformed CBOR/);
+  assert.throws(() => cbor('7f 01 ff'), /Malformed CBOR string chunk/);
+});
+
+test('resolves content type and metadata through the recursive endpoints', async () => {
+  const { resolver, fetch } = createResolver({
+    [`${SERVER}/r/inscription/${ID}`]: json({ content_type: 'audio/mpeg' }),
+    // { "name": "Song", "creator": "Artist", "image": "/content/<ARTWORK_ID>" }
+    [`${SERVER}/r/metadata/${ID}`]: json(
+      `a3${['name', 'Song', 'creator', 'Artist', 'image', `/content/${ARTWORK_ID}`].map(cborText).join('')}`,
+    ),
+  });
+
+  const track = await resolver.resolve(ID);
+  assert.equal(track.url, `${SERVER}/content/${ID}`);
+  assert.equal(track.contentType, 'audio/mpeg');
+  assert.equal(track.title, 'Song');
+  assert.equal(track.artist, 'Artist');
+  assert.equal(track.album, null);
+  assert.equal(track.artwork, `${SERVER}/content/${ARTWORK_ID}`);
+
+  assert.equal(await resolver.resolve(ID), track);
+  assert.equal(fetch.requests.length, 2, 'resolved once');
+});
+
+test('falls back to the content headers and empty metadata', async () => {
+  const { resolver, fetch } = createResolver({
+    [`${SERVER}/content/${ID}`]: new Response(null, { headers: { 'content-type': 'audio/ogg' } }),
+  });
+
+  const track = await resolver.resolve(ID);
+  assert.ok(fetch.requests.includes(`${SERVER}/r/inscription/${ID}`));
+  assert.equal(track.contentType, 'audio/ogg');
+  assert.deepEqual(track.metadata, {});
+  assert.equal(track.title, null);
+  assert.equal(track.artwork, null);
+});
+
+test('retries an inscription that failed to resolve', async () => {
+  const { resolver, routes } = createResolver();
+  await assert.rejects(resolver.resolve(ID), /Failed to resolve inscription/);
+
+  routes[`${SERVER}/r/inscription/${ID}`] = json({ content_type: 'audio/wav' });
+  const track = await resolver.resolve(ID);
+  assert.equal(track.contentType, 'audio/wav');
+});
+
+test('refuses anything that is not an inscription ID', async () => {
+  const { resolver } = createResolver();
+  await assert.rejects(resolver.resolve('song.mp3'), /Not an inscription ID/);
+  assert.equal(resolver.resolveReference(ID), `${SERVER}/content/${ID}`);
+  assert.equal(resolver.resolveReference('https://cdn.example/a.png'), 'https://cdn.example/a.png');
+});
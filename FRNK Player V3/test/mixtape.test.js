@@ -0,0 +1,116 @@
+// mixtape.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Mixtape, CASSETTE_LENGTHS } from '../modules/mixtape.js';
+import { TapeQueue } from '../modules/queue.js';
+import { MockAudioContext } from './helpers/mockAudioContext.js';
+import { createDeck } from './helpers/deck.js';
+
+const SAMPLE_RATE = 100;
+const context = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+
+// A decoded song of a given length in seconds, every sample holding the same value
+function song(seconds, value, numberOfChannels = 1) {
+  const buffer = context.createBuffer(numberOfChannels, seconds * SAMPLE_RATE, SAMPLE_RATE);
+  for (let c = 0; c < numberOfChannels; c++) buffer.getChannelData(c).fill(value);
+  return buffer;
+}
+
+const names = (mixtape, side) => mixtape.side(side).map((track) => track.name);
+
+test('fills Side A, then Side B', () => {
+  const mixtape = new Mixtape({ cassette: 'C46', gap: 2 });
+  mixtape.add('one', song(600, 0.1));
+  mixtape.add('two', song(600, 0.2));
+  mixtape.add('three', song(600, 0.3));
+  mixtape.add('four', song(60, 0.4));
+
+  assert.deepEqual(names(mixtape, 'A'), ['one', 'two', 'four']);
+  assert.deepEqual(names(mixtape, 'B'), ['three']);
+  assert.equal(mixtape.sideLength('A'), 1260 + 2 * 2);
+  assert.equal(mixtape.timeLeft('A'), CASSETTE_LENGTHS.C46 / 2 - 1264);
+});
+
+test('reorders songs within a side and moves them between sides', () => {
+  const mixtape = new Mixtape();
+  const [one, two, three] = ['one', 'two', 'three'].map((name) => mixtape.add(name, song(10, 0)));
+
+  mixtape.move(three.id, -1);
+  assert.deepEqual(names(mixtape, 'A'), ['one', 'three', 'two']);
+  mixtape.move(one.id, -1);
+  assert.deepEqual(names(mixtape, 'A'), ['one', 'three', 'two'], 'the first song stays first');
+
+  mixtape.setSide(one.id, 'B');
+  mixtape.remove(two.id);
+  assert.deepEqual(names(mixtape, 'A'), ['three']);
+  assert.deepEqual(names(mixtape, 'B'), ['one']);
+  assert.throws(() => mixtape.setSide(one.id, 'C'), /Unknown side/);
+});
+
+test('trims songs and counts the time left against the cassette', () => {
+  const mixtape = new Mixtape({ cassette: 'C60', gap: 0 });
+  const track = mixtape.add('long', song(2000, 0));
+  assert.equal(track.side, 'B', 'too long for Side A');
+  assert.equal(mixtape.timeLeft('B'), -200, 'runs over a C60 side');
+
+  mixtape.setTrim(track.id, 100, 1500);
+  assert.equal(mixtape.trackLength(track), 1400);
+  assert.equal(mixtape.timeLeft('B'), 1800 - 1400);
+
+  mixtape.setTrim(track.id, -5, 9999);
+  assert.deepEqual([track.trimStart, track.trimEnd], [0, 2000]);
+  assert.throws(() => mixtape.setTrim(track.id, 50, 50), RangeError);
+  assert.throws(() => mixtape.setCassette('C120'), /Unknown cassette/);
+});
+
+test('assembles one track per song, each followed by its gap', () => {
+  const mixtape = new Mixtape({ gap: 1 });
+  const first = mixtape.add('first', song(3, 0.5));
+  mixtape.add('second', song(2, -0.5, 2));
+  mixtape.setTrim(first.id, 1, 3);
+
+  const { sideA, sideB } = mixtape.toTape(context);
+  assert.deepEqual(sideA.map((track) => track.title), ['first', 'second']);
+  assert.deepEqual(sideB, []);
+
+  const [a1, a2] = sideA.map((track) => track.buffer);
+  assert.equal(a1.duration, 3, 'two trimmed seconds and a second of silence');
+  assert.equal(a1.getChannelData(0)[0], 0.5);
+  assert.equal(a1.getChannelData(0)[2.5 * SAMPLE_RATE], 0);
+  assert.equal(a2.duration, 2, 'the last song has no gap after it');
+  assert.equal(a2.numberOfChannels, 2);
+});
+
+test('assembles each side as one continuous recording', () => {
+  const mixtape = new Mixtape({ gap: 1 });
+  mixtape.add('mono', song(2, 0.5));
+  mixtape.add('stereo', song(2, -0.5, 2));
+
+  const { sideA } = mixtape.toTape(context, { continuous: true });
+  assert.equal(sideA.length, 1);
+  const { buffer } = sideA[0];
+  assert.equal(buffer.duration, 5);
+  assert.equal(buffer.numberOfChannels, 2);
+  assert.deepEqual([0.5, 2.5, 4].map((time) => buffer.getChannelData(1)[time * SAMPLE_RATE]), [0.5, 0, -0.5]);
+});
+
+test('loads into the deck without fetching, keyed for cues and sessions', async () => {
+  const mixtape = new Mixtape();
+  mixtape.add('first', song(3, 0.5));
+  mixtape.add('second', song(2, 0.25));
+  const tape = mixtape.toTape(context);
+
+  const { deck, fetch } = await createDeck({ sampleRate: SAMPLE_RATE, tape, routes: {} });
+  await deck.loadAllAudio();
+  assert.equal(deck.getDuration(), 5);
+  assert.equal(deck.getTrackInfo().title, 'first');
+  assert.ok(fetch.requests.every((url) => url.includes('/assets/')));
+
+  await deck.nextTrack();
+  assert.equal(deck.getDuration(), 2);
+
+  const queue = new TapeQueue(tape);
+  assert.equal(queue.key(), 'local:first@0-3');
+  assert.equal(queue.tapeKey(), 'local:first@0-3|local:second@0-2');
+});
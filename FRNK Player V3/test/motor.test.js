@@ -0,0 +1,40 @@
+// motor.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Motor, DEFAULT_INERTIA } from '../modules/motor.js';
+
+test('follows the setTargetAtTime curve towards its target', () => {
+  const motor = new Motor();
+  const tau = motor.setTarget(1, 10);
+  assert.equal(tau, DEFAULT_INERTIA.spinUp);
+
+  assert.equal(motor.rateAt(10), 0);
+  assert.ok(Math.abs(motor.rateAt(10 + tau) - (1 - Math.exp(-1))) < 1e-9);
+  assert.ok(motor.isSettled(10 + tau * 10));
+});
+
+test('picks the time constant for the kind of change', () => {
+  const motor = new Motor();
+  assert.equal(motor.timeConstantFor(0, 1), DEFAULT_INERTIA.spinUp);
+  assert.equal(motor.timeConstantFor(1, 0), DEFAULT_INERTIA.spinDown);
+  assert.equal(motor.timeConstantFor(1, -10), DEFAULT_INERTIA.wind);
+  assert.equal(motor.timeConstantFor(1, 1.2), DEFAULT_INERTIA.change);
+});
+
+test('a new target starts from wherever the motor has got to', () => {
+  const motor = new Motor();
+  motor.setTarget(10, 0, 1);
+  const midway = motor.rateAt(1);
+  motor.setTarget(-10, 1, 1);
+  assert.equal(motor.rateAt(1), midway);
+  assert.ok(motor.rateAt(3) < 0);
+});
+
+test('explicit time constants and inertia overrides', () => {
+  const motor = new Motor();
+  motor.setInertia({ spinUp: 0.5 });
+  assert.equal(motor.setTarget(1, 0), 0.5);
+  assert.equal(motor.setTarget(0, 0, 0), 0);
+  assert.equal(motor.rateAt(0.001), 0);
+});
@@ -0,0 +1,56 @@
+// musicSearch.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MusicSearch, findGaps } from '../modules/musicSearch.js';
+import { MockAudioBuffer } from './helpers/mockAudioContext.js';
+
+const SAMPLE_RATE = 1000;
+
+// A tape laid out as [seconds, level] stretches; level 0 is silence
+function tape(stretches, numberOfChannels = 1) {
+  const length = stretches.reduce((total, [seconds]) => total + seconds * SAMPLE_RATE, 0);
+  const buffer = new MockAudioBuffer({ numberOfChannels, length, sampleRate: SAMPLE_RATE });
+  let offset = 0;
+  stretches.forEach(([seconds, level]) => {
+    const end = offset + seconds * SAMPLE_RATE;
+    for (let c = 0; c < numberOfChannels; c++) {
+      for (let i = offset; i < end; i++) buffer.getChannelData(c)[i] = level * Math.sin(i);
+    }
+    offset = end;
+  });
+  return buffer;
+}
+
+const SONGS = tape([[1, 0], [10, 0.5], [2, 0], [20, 0.3], [0.5, 0], [5, 0.4], [3, 0]]);
+
+test('finds the gaps between songs, not the silence at either end', () => {
+  assert.deepEqual(findGaps(SONGS, { threshold: -50, minGap: 1 }), [{ start: 11, end: 13 }]);
+  assert.deepEqual(findGaps(SONGS, { threshold: -50, minGap: 0.5 }), [
+    { start: 11, end: 13 },
+    { start: 33, end: 33.5 },
+  ]);
+});
+
+test('counts quiet passages as gaps only below the threshold', () => {
+  const quiet = tape([[5, 0.5], [2, 0.01], [5, 0.5]], 2);
+  assert.deepEqual(findGaps(quiet, { threshold: -50, minGap: 1 }), []);
+  assert.deepEqual(findGaps(quiet, { threshold: -30, minGap: 1 }), [{ start: 5, end: 7 }]);
+});
+
+test('finds the next and previous song starts', () => {
+  const search = new MusicSearch({ minGap: 0.5 });
+  search.analyse(SONGS);
+  assert.deepEqual(search.boundaries, [13, 33.5]);
+
+  assert.equal(search.next(0), 13);
+  assert.equal(search.next(13), 33.5, 'carries on from a song start');
+  assert.equal(search.next(34), null);
+
+  assert.equal(search.previous(20), 13);
+  assert.equal(search.previous(14), 0, 'just into a song goes to the one before');
+  assert.equal(search.previous(40), 33.5);
+
+  search.analyse(null);
+  assert.deepEqual(search.boundaries, []);
+});
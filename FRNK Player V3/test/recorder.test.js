@@ -0,0 +1,93 @@
+// recorder.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockMediaStream } from './helpers/mockAudioContext.js';
+import { createDeck, ofType, SAMPLE_RATE } from './helpers/deck.js';
+import { ramp } from './helpers/fakeFetch.js';
+
+// The recorder's block size (see recorder.js)
+const BLOCK = 4096;
+
+// Microphone input well below the ramp on the tape, so recorded material stands out
+const voice = (i) => -0.5 - (i % 100) / 1000;
+
+// A deck with a two-second ramp on the tape and the record head armed on a synthetic stream
+async function createRecordingDeck() {
+  const stream = new MockMediaStream(voice);
+  const setup = await createDeck({ getInputStream: async () => stream });
+  await setup.deck.loadAllAudio();
+  await setup.deck.recorder.arm();
+  return { ...setup, stream };
+}
+
+// Let the deck finish measuring the tape after a recording
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('records over the tape from the current position', async () => {
+  const { deck, clock, events } = await createRecordingDeck();
+  deck.seek(0.5);
+  const start = Math.round(deck.getCurrentPosition() * SAMPLE_RATE);
+
+  assert.equal(deck.record(), true);
+  clock.advance(1000);
+  deck.stop();
+  await settle();
+
+  const tape = (await deck.readTape()).getChannelData(0);
+  const before = ramp(2 * SAMPLE_RATE);
+  assert.equal(tape[start - 1], Math.fround(before[start - 1]));
+  assert.deepEqual(tape.subarray(start, start + BLOCK), Float32Array.from({ length: BLOCK }, (_, i) => voice(i)));
+  assert.equal(tape[start + BLOCK], Math.fround(before[start + BLOCK]), 'nothing past the last block');
+  assert.equal(ofType(events, 'tapechange').length, 1);
+});
+
+test('plays back what it recorded after rewinding', async () => {
+  const { deck, clock } = await createRecordingDeck();
+  deck.seek(0.5);
+  deck.record();
+  clock.advance(1000);
+  deck.stop();
+
+  deck.rewind();
+  clock.advance(2000);
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(deck.getCurrentPosition(), 0);
+
+  // Listen to the tape head while the recorded stretch passes
+  const played = [];
+  const { node } = deck.tapeHead;
+  const renderQuantum = node.renderQuantum.bind(node);
+  node.renderQuantum = (...args) => {
+    const output = renderQuantum(...args);
+    played.push(...output[0]);
+    return output;
+  };
+  deck.play();
+  clock.advance(1500);
+
+  assert.ok(played.some((value) => value < -0.5), 'the recording is on the tape');
+  assert.ok(played.slice(0, 0.25 * SAMPLE_RATE).every((value) => value >= 0), 'the ramp is before it');
+});
+
+test('stops cleanly at the end of the tape', async () => {
+  const { deck, clock, audioContext, events } = await createRecordingDeck();
+  deck.seek(1.8);
+  const start = 1.8 * SAMPLE_RATE;
+
+  // Start just before the next block arrives, so it holds more than is left on the tape
+  clock.advance(400);
+  deck.record();
+  clock.advance(200);
+  await settle();
+
+  assert.equal(deck.getState(), 'stopped');
+  assert.equal(deck.recorder.isRecording, false);
+  assert.equal(deck.recorder.isArmed, true, 'the microphone stays open for the next take');
+  assert.equal(audioContext.scriptProcessors[0].onaudioprocess, null);
+  assert.equal(ofType(events, 'error').length, 0);
+
+  const tape = (await deck.readTape()).getChannelData(0);
+  assert.equal(tape.length, 2 * SAMPLE_RATE);
+  assert.deepEqual(tape.subarray(start), Float32Array.from({ length: tape.length - start }, (_, i) => voice(i)));
+});
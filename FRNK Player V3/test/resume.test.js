@@ -0,0 +1,87 @@
+// resume.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResumeStore } from '../modules/resume.js';
+import { TapeQueue } from '../modules/queue.js';
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+const queue = new TapeQueue({
+  sideA: [{ url: 'https://example.com/talk-part-1.mp3' }, { url: 'https://example.com/talk-part-2.mp3' }],
+  sideB: [{ inscription: 'fad631362e445afc1b078cd06d1a59c11acd24ac400abff60ed05742d63bff50i0' }],
+});
+
+test('keys a tape by its tracks in running order', () => {
+  assert.equal(queue.key(), 'https://example.com/talk-part-1.mp3');
+  assert.equal(queue.tapeKey().split('|').length, 3);
+  assert.notEqual(queue.tapeKey(), new TapeQueue({ sideA: [queue.tracks[1], queue.tracks[0]] }).tapeKey());
+});
+
+test('remembers where a tape was left, across visits', () => {
+  const storage = new MemoryStorage();
+  new ResumeStore({ storage }).save(queue.tapeKey(), {
+    index: 1,
+    speed: 1.2,
+    keyLock: true,
+    headDirection: -1,
+    positions: { [queue.key(queue.tracks[1])]: 754.5 },
+  });
+
+  assert.deepEqual(new ResumeStore({ storage }).load(queue.tapeKey()), {
+    index: 1,
+    speed: 1.2,
+    keyLock: true,
+    headDirection: -1,
+    positions: { 'https://example.com/talk-part-2.mp3': 754.5 },
+  });
+  assert.equal(new ResumeStore({ storage }).load('another tape'), null);
+});
+
+test('keeps the positions of the other tracks, and forgets a finished one', () => {
+  const sessions = new ResumeStore({ storage: new MemoryStorage() });
+  const [first, second] = queue.tracks.map((track) => queue.key(track));
+  sessions.save('tape', { index: 0, speed: 1, headDirection: 1, positions: { [first]: 300 } });
+  sessions.save('tape', { index: 1, speed: 1, headDirection: 1, positions: { [second]: 20 } });
+  assert.deepEqual(sessions.load('tape').positions, { [first]: 300, [second]: 20 });
+
+  sessions.save('tape', { index: 0, speed: 1, headDirection: 1, positions: { [first]: 0 } });
+  assert.deepEqual(sessions.load('tape').positions, { [second]: 20 });
+
+  sessions.clear('tape');
+  assert.equal(sessions.load('tape'), null);
+});
+
+test('fills in defaults for a damaged session', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const storage = new MemoryStorage();
+  const sessions = new ResumeStore({ storage });
+
+  storage.setItem('frnk-player:resume:tape', JSON.stringify({ index: -3, speed: 'fast', positions: { a: 'x', b: 12 } }));
+  assert.deepEqual(sessions.load('tape'), { index: 0, speed: 1, keyLock: false, headDirection: 1, positions: { b: 12 } });
+
+  storage.setItem('frnk-player:resume:tape', '{oops');
+  assert.equal(sessions.load('tape'), null);
+});
+
+test('does nothing without storage', () => {
+  const sessions = new ResumeStore({ storage: null });
+  sessions.save('tape', { index: 1, speed: 1, headDirection: 1 });
+  assert.equal(sessions.load('tape'), null);
+});
@@ -0,0 +1,222 @@
+// tapeHead.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TapeHead } from '../modules/tapeHead.js';
+import { MockAudioContext, QUANTUM } from './helpers/mockAudioContext.js';
+import { ramp } from './helpers/fakeFetch.js';
+
+const SAMPLE_RATE = 8000;
+
+// A tape head threaded with a ramp (or other samples) of a given length in seconds
+async function createHead(seconds = 2, samples = ramp) {
+  const context = new MockAudioContext({ sampleRate: SAMPLE_RATE });
+  await TapeHead.addModule(context);
+  const head = new TapeHead(context);
+
+  const buffer = context.createBuffer(1, seconds * SAMPLE_RATE, SAMPLE_RATE);
+  buffer.getChannelData(0).set(samples(buffer.length));
+  head.load(buffer);
+  return { context, head, node: context.workletNodes[0] };
+}
+
+test('registers the processor once per context', async () => {
+  const context = new MockAudioContext();
+  let calls = 0;
+  const addModule = context.audioWorklet.addModule;
+  context.audioWorklet.addModule = (url) => {
+    calls += 1;
+    return addModule(url);
+  };
+  await Promise.all([TapeHead.addModule(context), TapeHead.addModule(context)]);
+  assert.equal(calls, 1);
+});
+
+test('a parked tape stays put', async () => {
+  const { context, head } = await createHead();
+  context.render(0.5);
+  assert.equal(head.getPosition(), 0);
+});
+
+test('plays forward at the rate it is set to', async () => {
+  const { context, head } = await createHead();
+  head.setRate(1, 0);
+  context.render(1);
+  assert.ok(Math.abs(head.getPosition() - 1) < 0.02, `at ${head.getPosition()}`);
+
+  head.setRate(0.5, 0);
+  context.render(0.5);
+  assert.ok(Math.abs(head.getPosition() - 1.25) < 0.02, `at ${head.getPosition()}`);
+});
+
+test('spins up along its time constant rather than jumping', async () => {
+  const { context, head } = await createHead(4);
+  const tau = 0.5;
+  head.setRate(1, tau);
+  context.render(2);
+
+  // Distance covered by a rate of 1 - e^(-t/tau) over t seconds
+  const expected = 2 - tau * (1 - Math.exp(-2 / tau));
+  assert.ok(Math.abs(head.getPosition() - expected) < 0.02, `at ${head.getPosition()}, expected ${expected}`);
+});
+
+test('reading backwards plays the tape in reverse', async () => {
+  const { context, head, node } = await createHead();
+  head.seek(1);
+  head.setRate(-1, 0);
+  node.capture = true;
+  context.render(0.5);
+
+  assert.ok(Math.abs(head.getPosition() - 0.5) < 0.02, `at ${head.getPosition()}`);
+
+  // The ramp comes out falling, one sample of tape per frame
+  const output = node.capturedChannel(0);
+  for (let i = 1; i < output.length; i++) {
+    assert.ok(output[i] < output[i - 1], `sample ${i} should fall`);
+  }
+  assert.ok(Math.abs(output[0] - 0.5) < 0.01);
+});
+
+test('reverses smoothly through zero', async () => {
+  const { context, head } = await createHead();
+  head.seek(1);
+  head.setRate(2, 0);
+  context.render(0.25);
+  const turningPoint = head.getPosition();
+
+  head.setRate(-2, 0.1);
+  context.render(0.05);
+  assert.ok(head.getPosition() > turningPoint, 'still coasting forward');
+  context.render(1);
+  assert.ok(head.getPosition() < turningPoint, 'now running back');
+});
+
+test('holds at either end and reports the end once', async () => {
+  const { context, head } = await createHead(1);
+  const ends = [];
+  head.onEnded = (direction) => ends.push(direction);
+
+  head.setRate(4, 0);
+  context.render(1);
+  assert.equal(head.getPosition(), 1);
+  assert.deepEqual(ends, [1]);
+
+  head.setRate(-4, 0);
+  context.render(1);
+  assert.equal(head.getPosition(), 0);
+  assert.deepEqual(ends, [1, -1]);
+});
+
+test('ignores reports from before the latest seek', async () => {
+  const { context, head, node } = await createHead();
+  head.setRate(1, 0);
+  context.render(0.5);
+
+  // A report still in flight from the audio thread when the seek was posted
+  const stale = { type: 'position', seq: head.seq, position: 0.5, rate: 1, time: context.currentTime };
+  head.seek(1.5);
+  node.port.onmessage({ data: stale });
+  assert.ok(head.getPosition() >= 1.5);
+});
+
+test('reads back the tape with what was written over it', async () => {
+  const { head } = await createHead(1);
+  head.write(100, [new Float32Array([2, 3])]);
+
+  const [data] = await head.read();
+  assert.equal(data.length, SAMPLE_RATE);
+  assert.equal(data[50], Math.fround(ramp(SAMPLE_RATE)[50]));
+  assert.deepEqual([data[100], data[101]], [2, 3]);
+});
+
+test('extrapolates the position between reports', async () => {
+  const { context, head } = await createHead();
+  head.setRate(1, 0);
+  context.render(1024 / SAMPLE_RATE);
+  const reported = head.report.time;
+
+  context.render(QUANTUM / SAMPLE_RATE);
+  assert.equal(head.report.time, reported, 'no new report yet');
+  assert.ok(head.getPosition() > head.report.position);
+});
+
+test('wraps from B to A without losing a sample', async () => {
+  const { context, head, node } = await createHead();
+  head.seek(0.5);
+  head.setLoop({ start: 0.5, end: 0.75 }, true);
+  head.setRate(1, 0);
+  node.capture = true;
+  context.render(0.5);
+
+  // Two passes over the loop, each a clean rising ramp from A's sample to the one before B
+  const output = node.capturedChannel(0);
+  const passLength = 0.25 * SAMPLE_RATE;
+  const samplesPerSecond = 1 / (2 * SAMPLE_RATE);
+  for (let i = 0; i < output.length; i++) {
+    const expected = 0.25 + (i % passLength) * samplesPerSecond;
+    assert.ok(Math.abs(output[i] - expected) < 1e-6, `sample ${i}: ${output[i]} != ${expected}`);
+  }
+  assert.ok(Math.abs(head.getPosition() - 0.5) < 0.02, `at ${head.getPosition()}`);
+});
+
+test('wraps at once when a new loop ends behind the head', async () => {
+  const { context, head, node } = await createHead();
+  head.setRate(1, 0);
+  context.render(1);
+
+  // As if B were taken from a position report the head has since moved on from
+  node.port.postMessage({ type: 'loop', loop: { start: 0.25, end: 0.9 }, active: true });
+  context.render(0.1);
+  assert.ok(Math.abs(head.getPosition() - 0.35) < 0.02, `at ${head.getPosition()}`);
+
+  context.render(0.6);
+  assert.ok(head.getPosition() < 0.9, `looping, at ${head.getPosition()}`);
+});
+
+test('runs through the loop while it is inactive', async () => {
+  const { context, head } = await createHead();
+  head.setLoop({ start: 0.25, end: 0.5 }, false);
+  head.setRate(1, 0);
+  context.render(1);
+  assert.ok(head.getPosition() > 0.9, `at ${head.getPosition()}`);
+
+  head.setLoopActive(true);
+  context.render(0.5);
+  assert.ok(head.getPosition() > 1.4, 'only crossing B wraps');
+
+  head.seek(0.4);
+  context.render(0.2);
+  assert.ok(head.getPosition() < 0.5, `at ${head.getPosition()}`);
+
+  head.setLoop(null);
+  context.render(0.2);
+  assert.ok(head.getPosition() > 0.5, `at ${head.getPosition()}`);
+});
+
+// Upward zero crossings per second of a captured signal
+function pitchOf(output) {
+  let crossings = 0;
+  for (let i = 1; i < output.length; i++) {
+    if (output[i - 1] < 0 && output[i] >= 0) crossings += 1;
+  }
+  return crossings / (output.length / SAMPLE_RATE);
+}
+
+test('key lock keeps the pitch while the tape runs slow', async () => {
+  const sine = (length) => Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * 200 * i) / SAMPLE_RATE));
+
+  const varispeed = await createHead(2, sine);
+  varispeed.head.setRate(0.5, 0);
+  varispeed.node.capture = true;
+  varispeed.context.render(1);
+  assert.ok(Math.abs(pitchOf(varispeed.node.capturedChannel(0)) - 100) < 5);
+
+  const locked = await createHead(2, sine);
+  locked.head.setKeyLock(true);
+  locked.head.setRate(0.5, 0);
+  locked.node.capture = true;
+  locked.context.render(1);
+  const pitch = pitchOf(locked.node.capturedChannel(0));
+  assert.ok(Math.abs(pitch - 200) < 20, `at ${pitch} Hz`);
+  assert.ok(Math.abs(locked.head.getPosition() - 0.5) < 0.02, `at ${locked.head.getPosition()}`);
+});
@@ -0,0 +1,92 @@
+// toneControls.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ToneControls,
+  EQ_BANDS,
+  EQ_PRESETS,
+  TONE_RANGE,
+  loadToneSettings,
+  saveToneSettings,
+} from '../modules/toneControls.js';
+import { MockAudioContext } from './helpers/mockAudioContext.js';
+
+// Gain a filter settles on
+const settledGain = (filter) => filter.gain.valueAt(10);
+
+function createTone() {
+  return new ToneControls(new MockAudioContext());
+}
+
+test('chains the shelves and the bands from input to output', () => {
+  const tone = createTone();
+  const chain = [tone.input];
+  while (chain.at(-1) !== tone.output) {
+    const [next] = chain.at(-1).connections;
+    assert.ok(next, 'chain is broken');
+    chain.push(next);
+  }
+  assert.deepEqual(chain.slice(1, -1).map((filter) => filter.type), [
+    'lowshelf',
+    'highshelf',
+    ...EQ_BANDS.map(() => 'peaking'),
+  ]);
+});
+
+test('Bass and Treble cut and boost within range', () => {
+  const tone = createTone();
+  tone.setBass(6);
+  tone.setTreble(-40);
+  assert.equal(settledGain(tone.bassFilter), 6);
+  assert.equal(settledGain(tone.trebleFilter), -TONE_RANGE);
+});
+
+test('the graphic EQ stays flat until switched in', () => {
+  const tone = createTone();
+  tone.applyPreset('bassBoost');
+  assert.ok(tone.bandFilters.every((filter) => settledGain(filter) === 0));
+
+  tone.setEqEnabled(true);
+  assert.deepEqual(tone.bandFilters.map(settledGain), EQ_PRESETS.bassBoost);
+});
+
+test('moving a band makes the EQ custom', () => {
+  const tone = createTone();
+  tone.applyPreset('vocal');
+  tone.setBand(0, 3);
+  assert.equal(tone.eqPreset, 'custom');
+  assert.equal(tone.eqGains[0], 3);
+  assert.throws(() => tone.setBand(7, 0), /Unknown EQ band/);
+  assert.throws(() => tone.applyPreset('loud'), /Unknown EQ preset/);
+});
+
+test('settings survive a round trip through storage', () => {
+  const items = new Map();
+  const storage = { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+
+  const tone = createTone();
+  tone.setBass(4);
+  tone.applyPreset('laptop');
+  tone.setEqEnabled(true);
+  saveToneSettings(tone.getSettings(), storage);
+
+  const restored = createTone();
+  restored.applySettings(loadToneSettings(storage));
+  assert.deepEqual(restored.getSettings(), tone.getSettings());
+  assert.deepEqual(restored.bandFilters.map(settledGain), EQ_PRESETS.laptop);
+});
+
+test('ignores missing or malformed settings', () => {
+  const tone = createTone();
+  tone.applySettings(null);
+  tone.applySettings({ bass: 'loud', eqGains: [1, 2], eqEnabled: 'yes' });
+  assert.deepEqual(tone.getSettings(), {
+    bass: 0,
+    treble: 0,
+    eqEnabled: false,
+    eqPreset: 'flat',
+    eqGains: EQ_PRESETS.flat,
+  });
+  assert.equal(loadToneSettings(null), null);
+});
@@ -0,0 +1,92 @@
+// transport.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransportStateMachine, TransportError, TRANSPORT_STATES } from '../modules/transport.js';
+
+test('starts stopped and plays, winds and stops', () => {
+  const transport = new TransportStateMachine();
+  assert.equal(transport.state, 'stopped');
+
+  assert.deepEqual(transport.send('play'), { state: 'playing', previousState: 'stopped', command: 'play' });
+  assert.equal(transport.send('fastForward').state, 'fastforward');
+  assert.equal(transport.send('rewind').state, 'rewind');
+  assert.equal(transport.send('stop').state, 'stopped');
+  assert.equal(transport.isMoving, false);
+});
+
+test('every state has a row of transitions', () => {
+  TRANSPORT_STATES.forEach((state) => {
+    const transport = new TransportStateMachine();
+    transport.state = state;
+    assert.equal(transport.can('stop'), true, `stop from ${state}`);
+  });
+});
+
+test('rejects winding and Play while recording', () => {
+  const transport = new TransportStateMachine();
+  transport.send('record');
+
+  ['fastForward', 'rewind', 'play', 'record'].forEach((command) => {
+    assert.equal(transport.can(command), false, command);
+    assert.throws(() => transport.send(command), (error) => {
+      assert.ok(error instanceof TransportError);
+      assert.equal(error.command, command);
+      assert.equal(error.state, 'recording');
+      return true;
+    });
+  });
+  assert.equal(transport.state, 'recording');
+});
+
+test('pause only holds a moving tape', () => {
+  const transport = new TransportStateMachine();
+  assert.equal(transport.can('pause'), false);
+  assert.equal(transport.can('resume'), false);
+
+  transport.send('play');
+  transport.send('pause');
+  assert.equal(transport.can('pause'), false);
+});
+
+test('resume returns to the state Pause interrupted', () => {
+  const transport = new TransportStateMachine();
+  transport.send('rewind');
+  transport.send('pause');
+  assert.equal(transport.pausedState, 'rewind');
+  assert.deepEqual(transport.send('resume'), { state: 'rewind', previousState: 'paused', command: 'resume' });
+  assert.equal(transport.pausedState, null);
+
+  transport.send('stop');
+  transport.send('record');
+  transport.send('pause');
+  assert.equal(transport.send('resume').state, 'recording');
+});
+
+test('the end of the tape stops a moving transport only', () => {
+  const transport = new TransportStateMachine();
+  assert.equal(transport.can('end'), false);
+
+  transport.send('fastForward');
+  assert.equal(transport.send('end').state, 'stopped');
+
+  transport.send('play');
+  transport.send('pause');
+  assert.equal(transport.can('end'), false);
+});
+
+test('guards can veto a command the table allows', () => {
+  let armed = false;
+  let loaded = false;
+  const transport = new TransportStateMachine({
+    play: () => loaded,
+    record: () => loaded && armed,
+  });
+
+  assert.equal(transport.can('play'), false);
+  loaded = true;
+  assert.equal(transport.can('play'), true);
+  assert.equal(transport.can('record'), false);
+  armed = true;
+  assert.equal(transport.send('record').state, 'recording');
+});
@@ -0,0 +1,61 @@
+// vuMeter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VUMeter, DEFAULT_BALLISTICS, METER_FLOOR_DB, rms, levelToReading } from '../modules/vuMeter.js';
+
+// Feed a steady input for a number of seconds in 60 Hz frames
+function hold(meter, input, seconds) {
+  for (let t = 0; t < seconds; t += 1 / 60) {
+    meter.update(input, 1 / 60);
+  }
+}
+
+test('measures the RMS level of a block', () => {
+  assert.equal(rms(new Float32Array(64)), 0);
+  assert.equal(rms(Float32Array.from({ length: 64 }, (_, i) => (i % 2 ? 0.5 : -0.5))), 0.5);
+  assert.equal(rms(new Float32Array(0)), 0);
+});
+
+test('maps levels onto a decibel scale', () => {
+  assert.equal(levelToReading(0), 0);
+  assert.equal(levelToReading(1), 1);
+  assert.equal(levelToReading(2), 1);
+  assert.ok(Math.abs(levelToReading(10 ** (METER_FLOOR_DB / 40)) - 0.5) < 1e-9);
+  assert.equal(levelToReading(1e-6), 0);
+});
+
+test('rises faster than it falls', () => {
+  const meter = new VUMeter();
+  meter.update(1, DEFAULT_BALLISTICS.attack);
+  assert.ok(Math.abs(meter.reading - (1 - Math.exp(-1))) < 1e-9);
+
+  hold(meter, 1, 1);
+  const top = meter.reading;
+  meter.update(0, DEFAULT_BALLISTICS.attack);
+  assert.ok(meter.reading > top * 0.8, 'release is slower than attack');
+});
+
+test('holds the peak before letting it fall', () => {
+  const meter = new VUMeter();
+  hold(meter, 0.8, 1);
+  const peak = meter.peak;
+
+  hold(meter, 0, DEFAULT_BALLISTICS.peakHold - 0.1);
+  assert.equal(meter.peak, peak);
+  assert.ok(meter.reading < peak);
+
+  hold(meter, 0, 0.5);
+  assert.ok(meter.peak < peak);
+});
+
+test('comes back to rest at zero', () => {
+  const meter = new VUMeter();
+  hold(meter, 1, 0.5);
+  assert.equal(meter.isAtRest, false);
+
+  hold(meter, 0, 10);
+  assert.equal(meter.reading, 0);
+  assert.equal(meter.peak, 0);
+  assert.equal(meter.isAtRest, true);
+});
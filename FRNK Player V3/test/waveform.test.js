@@ -0,0 +1,97 @@
+// waveform.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WaveformStrip, computePeaks } from '../modules/waveform.js';
+import { MockAudioBuffer } from './helpers/mockAudioContext.js';
+import { FakeCanvas } from './helpers/recordingContext.js';
+
+// A ten-second buffer, silent but for a loud burst from 6 s to 7 s
+function burstBuffer() {
+  const buffer = new MockAudioBuffer({ numberOfChannels: 2, length: 10 * 100, sampleRate: 100 });
+  buffer.getChannelData(1).fill(-0.8, 600, 700);
+  buffer.getChannelData(0).fill(0.1);
+  return buffer;
+}
+
+function createStrip() {
+  const canvas = new FakeCanvas(200, 40);
+  const strip = new WaveformStrip(canvas);
+  strip.attach();
+  const buffer = burstBuffer();
+  strip.setOverview(computePeaks(buffer), buffer.duration);
+  return { strip, canvas };
+}
+
+test('finds the loudest sample in each slice across channels', () => {
+  const peaks = computePeaks(burstBuffer(), 10);
+  assert.equal(peaks.length, 10);
+  assert.ok(Math.abs(peaks[6] - 0.8) < 1e-6);
+  assert.ok(Math.abs(peaks[0] - 0.1) < 1e-6);
+});
+
+test('copes with slices shorter than a sample', () => {
+  const buffer = new MockAudioBuffer({ length: 3, sampleRate: 100 });
+  buffer.getChannelData(0).set([0.2, 0.5, 1.5]);
+  const peaks = computePeaks(buffer, 6);
+  assert.deepEqual(Array.from(peaks, (peak) => Math.round(peak * 10) / 10), [0.2, 0.2, 0.5, 0.5, 1, 1]);
+});
+
+test('draws the loud section taller than the quiet ones', () => {
+  const { canvas } = createStrip();
+  const bars = canvas.context.callsTo('fillRect').filter(({ args }) => args[2] === 1);
+  assert.equal(bars.length, 200);
+
+  const heightAt = (x) => bars.find(({ args }) => args[0] === x).args[3];
+  assert.ok(heightAt(130) > heightAt(50) * 4);
+});
+
+test('lights the played part and draws the playhead', () => {
+  const { strip, canvas } = createStrip();
+  canvas.context.clear();
+  strip.setPosition(5);
+
+  const styles = canvas.context.callsTo('fillStyle').map(({ args }) => args[0]);
+  assert.equal(styles.filter((style) => style === 'rgba(16, 177, 27, 0.9)').length, 100);
+
+  const playhead = canvas.context.callsTo('fillRect').at(-1).args;
+  assert.deepEqual(playhead, [99, 0, 2, 40]);
+});
+
+test('clicking and dragging seeks', () => {
+  const { strip } = createStrip();
+  const seeks = [];
+  strip.onSeek = (position) => seeks.push(position);
+
+  strip.handlePointerDown({ pointerId: 1, clientX: 50, preventDefault() {} });
+  strip.handlePointerMove({ pointerId: 1, clientX: 150 });
+  strip.handlePointerMove({ pointerId: 1, clientX: 400 });
+  strip.handlePointerUp({ pointerId: 1 });
+  strip.handlePointerMove({ pointerId: 1, clientX: 20 });
+
+  assert.deepEqual(seeks, [2.5, 7.5, 10]);
+  assert.equal(strip.position, 10);
+});
+
+test('shows cue points, loop regions and song starts', () => {
+  const { strip, canvas } = createStrip();
+  canvas.context.clear();
+  strip.setMarkers({
+    cues: [{ position: 2, label: 'Intro' }],
+    loops: [{ start: 6, end: 7 }],
+    boundaries: [5],
+  });
+
+  const rects = canvas.context.callsTo('fillRect').map(({ args }) => args);
+  assert.deepEqual(rects[0], [120, 0, 20, 40]);
+  assert.ok(rects.some((args) => args[0] === 39 && args[2] === 2));
+  assert.ok(rects.some((args) => args.join() === '99,30,2,10'), 'a song start along the bottom');
+});
+
+test('draws nothing without a track', () => {
+  const canvas = new FakeCanvas(200, 40);
+  const strip = new WaveformStrip(canvas);
+  strip.setOverview(null, 0);
+  assert.equal(canvas.context.callsTo('fillRect').length, 0);
+  assert.equal(strip.positionForX(100), 0);
+});
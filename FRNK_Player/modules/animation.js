@@ -14,7 +14,7 @@ import { spools, drawTapeDeck } from './drawing.js';
 import { canvas } from './dom.js'; // Ensure canvas is imported if needed
 
 // Import audio control functions
-import { playAudio, pauseAudio, setPlaybackRate } from './audio.js';
+import { playAudio, pauseAudio, returnToZero, setPlaybackRate } from './audio.js';
 
 let isPlaying = false;
 let animationFrameId;
@@ -87,6 +87,7 @@ fastForwardButton.addEventListener("click", () => {
 rewindButton.addEventListener("click", () => {
   startAnimation(REWIND_SPEED); // Set to 5x anticlockwise
   pauseAudio(); // Pause audio during rewind
+  returnToZero(); // Rewinding takes the tape back to the beginning
 });
 
 // Event listener for window resize to adjust the canvas
@@ -11,10 +11,14 @@ export function playAudio(speed = 1) {
     audio.play();
 }
 
-// Function to pause and reset the audio
+// Function to pause the audio, keeping its position
 export function pauseAudio() {
     audio.pause();
-    audio.currentTime = 0; // Reset to the beginning
+}
+
+// Function to put the tape back to the beginning
+export function returnToZero() {
+    audio.currentTime = 0;
 }
 
 // Function to set the playback rate (for fast forward)